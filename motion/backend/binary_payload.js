@@ -0,0 +1,81 @@
+// Compact binary container for scenario payloads (the same { done, record, fileInfo, scenarioInfo }
+// object /next sends as JSON). Decoded in the browser by src/utils/binaryPayload.js.
+//
+// Layout (little-endian):
+//   4 bytes   magic "WSCN"
+//   uint32    format version
+//   uint32    header length in bytes
+//   header    UTF-8 JSON: everything except the numeric feature arrays, plus
+//             features: [{ name, type: 'f32' | 'f64' | 'i32', offset, length }]
+//   padding   to an 8-byte boundary
+//   blob      the feature arrays, each starting on an 8-byte boundary (offsets are relative to the blob)
+//
+// Float lists go as Float32Array. Int64 lists go as Int32Array when every value fits, else Float64Array.
+// Bytes lists (string arrays) stay in the header.
+
+const BINARY_MIME = 'application/x-waymo-scenario';
+const MAGIC = 'WSCN';
+const FORMAT_VERSION = 1;
+
+const align8 = (n) => (n + 7) & ~7;
+
+function fitsInt32(values) {
+    for (let i = 0; i < values.length; i++) {
+        const v = values[i];
+        if (!Number.isInteger(v) || v < -2147483648 || v > 2147483647) return false;
+    }
+    return true;
+}
+
+function encodeScenarioPayload(payload) {
+    const features = payload.record?.features || {};
+
+    const arrays = [];
+    const strings = {};
+    let blobSize = 0;
+
+    for (const [name, values] of Object.entries(features)) {
+        if (!ArrayBuffer.isView(values)) {
+            strings[name] = Array.from(values);
+            continue;
+        }
+
+        let typed = values;
+        let type = 'f32';
+        if (values instanceof Float64Array) {
+            if (fitsInt32(values)) {
+                typed = Int32Array.from(values);
+                type = 'i32';
+            } else {
+                type = 'f64';
+            }
+        } else if (!(values instanceof Float32Array)) {
+            typed = Float32Array.from(values);
+        }
+
+        arrays.push({ name, type, offset: blobSize, length: typed.length, typed });
+        blobSize = align8(blobSize + typed.byteLength);
+    }
+
+    const header = {
+        ...payload,
+        record: payload.record ? { ...payload.record, features: strings } : payload.record,
+        features: arrays.map(({ name, type, offset, length }) => ({ name, type, offset, length }))
+    };
+    const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+
+    const blobStart = align8(12 + headerBytes.length);
+    const out = Buffer.alloc(blobStart + blobSize);
+    out.write(MAGIC, 0, 'ascii');
+    out.writeUInt32LE(FORMAT_VERSION, 4);
+    out.writeUInt32LE(headerBytes.length, 8);
+    headerBytes.copy(out, 12);
+
+    for (const { offset, typed } of arrays) {
+        Buffer.from(typed.buffer, typed.byteOffset, typed.byteLength).copy(out, blobStart + offset);
+    }
+
+    return out;
+}
+
+module.exports = { encodeScenarioPayload, BINARY_MIME };
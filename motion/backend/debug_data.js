@@ -1,41 +1,31 @@
 const fs = require('fs');
 const path = require('path');
-const { TFRecordsReader } = require('@roboflow/tfrecords/src/tensorFlowReader');
+const { TFRecordsStreamReader } = require('./read_data_stream');
 
 const DATA_FILE = path.join(__dirname, 'data/training_tfexample.tfrecord-00000-of-01000');
 
 const util = require('util');
 
-function loadData() {
+async function loadData() {
     if (!fs.existsSync(DATA_FILE)) {
         console.log('File not found');
         return;
     }
-    const buffer = fs.readFileSync(DATA_FILE);
-    const reader = new TFRecordsReader(buffer);
-    const records = reader.toArray();
-    if (records.length > 0) {
-        const record = records[0];
-        const featureMap = new Map(record.context.featureMap);
-        
+    const reader = new TFRecordsStreamReader(DATA_FILE);
+    const record = await reader.readRecordAt(0);
+    await reader.close();
+
+    if (record) {
         const inspectFeature = (key) => {
-            const feat = featureMap.get(key);
+            const feat = record.features[key];
             if (!feat) {
                 console.log(`${key}: not found`);
                 return;
             }
-            // feat is likely an object with floatList, int64List etc.
-            // Let's see what keys it has
-            // const valueType = Object.keys(feat)[0]; 
-             // valueList might be inside floatList
-             console.log(`Key: ${key}`);
-             console.log(util.inspect(feat, { depth: null, colors: false }));
-             return;
-            // const values = feat[valueType].valueList;
-            console.log(`${key}: type=${valueType}, length=${values ? values.length : 'undefined'}`);
-            if (values && values.length > 0 && values.length < 20) {
-               console.log(`Values: ${values}`);
-            }
+            // feat is a Float32Array / Float64Array (int64) / string[] (bytes)
+            console.log(`Key: ${key}`);
+            console.log(`${feat.constructor.name}, length=${feat.length}`);
+            console.log(util.inspect(feat, { depth: null, colors: false, maxArrayLength: 20 }));
         };
 
         inspectFeature('state/id');
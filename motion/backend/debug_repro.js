@@ -1,4 +1,4 @@
-const { TFRecordsStreamReader } = require('./read_data_stream');
+const { TFRecordsStreamReader, isTfRecordFile } = require('./read_data_stream');
 const path = require('path');
 const fs = require('fs');
 
@@ -6,7 +6,7 @@ async function test() {
     const DATA_DIR = path.join(__dirname, 'data');
     try {
         const files = await fs.promises.readdir(DATA_DIR);
-        const tfFile = files.find(f => f.endsWith('.tfrecord') || f.includes('.tfrecord-'));
+        const tfFile = files.find(isTfRecordFile);
         
         if (!tfFile) {
             console.error('No TFRecord file found to test.');
@@ -0,0 +1,73 @@
+// Which tf.Example features a client receives. Clients pick a named preset, list exactly the
+// features they want, or both; everything is checked against schema.json.
+//
+//   featureSet=<preset>              one of FEATURE_PRESETS
+//   features=a,b,c                   exactly these features
+//   featureSet=<preset>&features=... the preset plus these features
+//
+// With neither param the server default applies.
+
+const SCHEMA = require('./schema.json');
+
+const SCHEMA_FEATURES = Object.keys(SCHEMA.context);
+
+// Features the stock viewer renders
+const DEFAULT_FEATURES = [
+    'scenario/id',
+    // RoadGraph
+    'roadgraph_samples/xyz', 'roadgraph_samples/id', 'roadgraph_samples/type', 'roadgraph_samples/valid', 'roadgraph_samples/dir',
+    // Traffic Lights
+    'traffic_light_state/current/id', 'traffic_light_state/current/state', 'traffic_light_state/current/x', 'traffic_light_state/current/y', 'traffic_light_state/current/z', 'traffic_light_state/current/valid',
+    'traffic_light_state/past/state', 'traffic_light_state/past/x', 'traffic_light_state/past/y', 'traffic_light_state/past/z', 'traffic_light_state/past/valid',
+    'traffic_light_state/future/state', 'traffic_light_state/future/x', 'traffic_light_state/future/y', 'traffic_light_state/future/z', 'traffic_light_state/future/valid',
+    // Agents / State
+    'state/id', 'state/type', 'state/is_sdc',
+    'state/current/x', 'state/current/y', 'state/current/z', 'state/current/bbox_yaw', 'state/current/velocity_x', 'state/current/velocity_y',
+    'state/current/length', 'state/current/width', 'state/current/height', 'state/current/valid',
+    'state/past/x', 'state/past/y', 'state/past/z', 'state/past/bbox_yaw', 'state/past/velocity_x', 'state/past/velocity_y', 'state/past/valid',
+    'state/future/x', 'state/future/y', 'state/future/z', 'state/future/bbox_yaw', 'state/future/velocity_x', 'state/future/velocity_y', 'state/future/valid',
+    // Prediction targets, highlighted in Agents.jsx
+    'state/tracks_to_predict', 'state/objects_of_interest', 'state/difficulty_level',
+    // Path Samples - referenced in PathSamples.jsx
+    'path_samples/xyz', 'path_samples/id', 'path_samples/valid'
+];
+
+// Route info and timestamps on top of the default set
+const ANALYSIS_FEATURES = [
+    ...DEFAULT_FEATURES,
+    'path_samples/on_route', 'path_samples/arc_length',
+    ...SCHEMA_FEATURES.filter(name => name.endsWith('/timestamp_micros'))
+];
+
+const FEATURE_PRESETS = {
+    default: DEFAULT_FEATURES,
+    analysis: ANALYSIS_FEATURES,
+    all: SCHEMA_FEATURES
+};
+
+class FeatureSetError extends Error {}
+
+// Returns the list of feature names requested by `query`, or `fallback` when it asks for nothing
+function parseFeatureSet(query = {}, fallback = FEATURE_PRESETS.default) {
+    if (query.featureSet === undefined && query.features === undefined) return fallback;
+
+    const preset = query.featureSet === undefined ? null : String(query.featureSet);
+    if (preset !== null && !Object.prototype.hasOwnProperty.call(FEATURE_PRESETS, preset)) {
+        throw new FeatureSetError(`Unknown featureSet: ${preset} (expected one of ${Object.keys(FEATURE_PRESETS).join(', ')})`);
+    }
+
+    const extra = query.features === undefined ? [] : String(query.features).split(',').map(name => name.trim()).filter(Boolean);
+    for (const name of extra) {
+        if (!Object.prototype.hasOwnProperty.call(SCHEMA.context, name)) {
+            throw new FeatureSetError(`Unknown feature: ${name}`);
+        }
+    }
+
+    if (preset === null) {
+        if (extra.length === 0) throw new FeatureSetError('features must name at least one feature');
+        return Array.from(new Set(extra));
+    }
+    return extra.length === 0 ? FEATURE_PRESETS[preset] : Array.from(new Set([...FEATURE_PRESETS[preset], ...extra]));
+}
+
+module.exports = { FEATURE_PRESETS, FeatureSetError, parseFeatureSet };
@@ -0,0 +1,93 @@
+// Model predictions for the viewer's overlay, read from PREDICTIONS_DIR (default ./predictions).
+// One JSON file per scenario, named <scenario/id>.json:
+//
+//   {
+//     "model": "my-model",             optional label
+//     "startFrame": 11,                frame of the first predicted point (default 11, the first future frame)
+//     "stepFrames": 1,                 frames between predicted points (default 1; 5 for 2 Hz outputs)
+//     "agents": [
+//       { "id": 1234,                  state/id of the predicted agent
+//         "trajectories": [            K modes
+//           { "confidence": 0.6, "xy": [[x, y], ...] }   world coordinates, same frame as state/x,y
+//         ] }
+//     ]
+//   }
+
+const fs = require('fs');
+const path = require('path');
+
+const PREDICTIONS_DIR = process.env.PREDICTIONS_DIR || path.join(__dirname, 'predictions');
+const DEFAULT_START_FRAME = 11;
+
+class PredictionFormatError extends Error {}
+
+// Scenario ids become file names, so only plain ids are accepted (no path separators)
+function isValidScenarioId(scenarioId) {
+    return /^[A-Za-z0-9_-]+$/.test(scenarioId);
+}
+
+const isPoint = (p) => Array.isArray(p) && p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]);
+
+// Checks a parsed predictions file and returns it with defaults filled in and each agent's
+// modes sorted by confidence (highest first). Throws PredictionFormatError on bad input.
+function normalizePredictions(raw, scenarioId) {
+    if (!raw || !Array.isArray(raw.agents)) {
+        throw new PredictionFormatError('"agents" must be an array');
+    }
+    const startFrame = raw.startFrame === undefined ? DEFAULT_START_FRAME : raw.startFrame;
+    const stepFrames = raw.stepFrames === undefined ? 1 : raw.stepFrames;
+    if (!Number.isInteger(startFrame) || startFrame < 0) throw new PredictionFormatError('"startFrame" must be a non-negative integer');
+    if (!Number.isInteger(stepFrames) || stepFrames < 1) throw new PredictionFormatError('"stepFrames" must be a positive integer');
+
+    const agents = raw.agents.map((agent, a) => {
+        const id = Number(agent?.id);
+        if (!Number.isFinite(id)) throw new PredictionFormatError(`agents[${a}].id must be a number`);
+        if (!Array.isArray(agent.trajectories) || agent.trajectories.length === 0) {
+            throw new PredictionFormatError(`agents[${a}].trajectories must be a non-empty array`);
+        }
+        const trajectories = agent.trajectories.map((trajectory, k) => {
+            const where = `agents[${a}].trajectories[${k}]`;
+            if (!Number.isFinite(trajectory?.confidence)) throw new PredictionFormatError(`${where}.confidence must be a number`);
+            if (!Array.isArray(trajectory.xy) || !trajectory.xy.every(isPoint)) {
+                throw new PredictionFormatError(`${where}.xy must be an array of [x, y] points`);
+            }
+            return { confidence: trajectory.confidence, xy: trajectory.xy.map(([x, y]) => [x, y]) };
+        });
+        trajectories.sort((a, b) => b.confidence - a.confidence);
+        return { id, trajectories };
+    });
+
+    return { scenarioId, model: typeof raw.model === 'string' ? raw.model : null, startFrame, stepFrames, agents };
+}
+
+// Predictions for one scenario, or null when there is no file for it
+async function loadPredictions(scenarioId, dir = PREDICTIONS_DIR) {
+    let text;
+    try {
+        text = await fs.promises.readFile(path.join(dir, `${scenarioId}.json`), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (error) {
+        throw new PredictionFormatError(`Invalid JSON: ${error.message}`);
+    }
+    return normalizePredictions(raw, scenarioId);
+}
+
+// Scenario ids that have a predictions file
+async function listPredictions(dir = PREDICTIONS_DIR) {
+    try {
+        const names = await fs.promises.readdir(dir);
+        return names.filter(name => name.endsWith('.json')).map(name => name.slice(0, -'.json'.length));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+module.exports = { PREDICTIONS_DIR, PredictionFormatError, isValidScenarioId, normalizePredictions, loadPredictions, listPredictions };
@@ -0,0 +1,110 @@
+// Shared protobuf wire-format cursor for the hand-written decoders (tf_example.js, scenario_proto.js)
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LEN = 2;
+const WIRE_FIXED32 = 5;
+
+class ProtoDecodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProtoDecodeError';
+    }
+}
+
+// Cursor over a protobuf message in `buf` between `pos` and `end`
+class Reader {
+    constructor(buf, pos = 0, end = buf.length) {
+        this.buf = buf;
+        this.pos = pos;
+        this.end = end;
+    }
+
+    done() {
+        return this.pos >= this.end;
+    }
+
+    // Reads a varint as a JS number. 64-bit values are combined from two 32-bit halves;
+    // negative int64s (10-byte two's complement) come back negative.
+    varint() {
+        let lo = 0;
+        let hi = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (this.pos >= this.end) throw new ProtoDecodeError('truncated varint');
+            byte = this.buf[this.pos++];
+            if (shift < 28) {
+                lo |= (byte & 0x7f) << shift;
+            } else if (shift === 28) {
+                lo |= (byte & 0x0f) << 28;
+                hi |= (byte & 0x7f) >> 4;
+            } else {
+                hi |= (byte & 0x7f) << (shift - 32);
+            }
+            shift += 7;
+        } while (byte & 0x80);
+
+        lo >>>= 0;
+        if (hi & 0x80000000) {
+            // Negative: value = -(~value + 1)
+            const nlo = (~lo + 1) >>> 0;
+            const nhi = (~hi + (nlo === 0 ? 1 : 0)) >>> 0;
+            return -(nhi * 4294967296 + nlo);
+        }
+        return (hi >>> 0) * 4294967296 + lo;
+    }
+
+    double() {
+        if (this.pos + 8 > this.end) throw new ProtoDecodeError('truncated double');
+        const value = this.buf.readDoubleLE(this.pos);
+        this.pos += 8;
+        return value;
+    }
+
+    string() {
+        const s = this.sub();
+        return this.buf.toString('utf8', s.pos, s.end);
+    }
+
+    // Returns a sub-reader over a length-delimited field
+    sub() {
+        const len = this.varint();
+        const start = this.pos;
+        this.pos += len;
+        if (this.pos > this.end) throw new ProtoDecodeError('length-delimited field runs past end of message');
+        return new Reader(this.buf, start, this.pos);
+    }
+
+    // Appends a repeated varint field to `out`, packed or not
+    repeatedVarint(wireType, out) {
+        if (wireType === WIRE_LEN) {
+            const packed = this.sub();
+            while (!packed.done()) out.push(packed.varint());
+        } else {
+            out.push(this.varint());
+        }
+    }
+
+    // Appends a repeated double field to `out`, packed or not
+    repeatedDouble(wireType, out) {
+        if (wireType === WIRE_LEN) {
+            const packed = this.sub();
+            while (!packed.done()) out.push(packed.double());
+        } else {
+            out.push(this.double());
+        }
+    }
+
+    skip(wireType) {
+        switch (wireType) {
+            case WIRE_VARINT: this.varint(); break;
+            case WIRE_FIXED64: this.pos += 8; break;
+            case WIRE_LEN: this.sub(); break;
+            case WIRE_FIXED32: this.pos += 4; break;
+            default: throw new ProtoDecodeError(`unsupported wire type ${wireType}`);
+        }
+    }
+}
+
+module.exports = { Reader, ProtoDecodeError, WIRE_VARINT, WIRE_FIXED64, WIRE_LEN, WIRE_FIXED32 };
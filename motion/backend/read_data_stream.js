@@ -1,16 +1,143 @@
 const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
 const { crc32c, maskCrc, readInt64 } = require('@roboflow/tfrecords/src/tensorFlowHelpers');
-const { TFRecordsImageMessage } = require('@roboflow/tfrecords/src/tensorFlowRecordsProtoBuf_pb');
+const { decodeExample, validateFeatures } = require('./tf_example');
+const { isScenarioProto, decodeScenario, scenarioToRecord } = require('./scenario_proto');
+const SCHEMA = require('./schema.json');
+
+// Defaults for new readers (see .env.example)
+const VERIFY_CRC = process.env.TFRECORD_VERIFY_CRC === 'true';
+const RECOVER = process.env.TFRECORD_RECOVER === 'true';
+
+// Record layout: uint64 length | uint32 masked crc(length) | data | uint32 masked crc(data)
+const HEADER_SIZE = 12;
+const FOOTER_SIZE = 4;
+
+// Resync scans the file in chunks looking for a header whose length CRC checks out
+const RESYNC_CHUNK_SIZE = 1024 * 1024;
+
+class TFRecordCorruptionError extends Error {
+    constructor(filePath, offset, reason) {
+        super(`Corrupt TFRecord ${filePath} at byte ${offset}: ${reason}`);
+        this.name = 'TFRecordCorruptionError';
+        this.filePath = filePath;
+        this.offset = offset;
+        this.reason = reason;
+    }
+}
+
+// A record whose framing and checksums are fine but whose payload does not decode or match the
+// schema. Never resynced past: that would silently drop a well-formed record.
+class RecordDecodeError extends Error {
+    constructor(filePath, offset, reason) {
+        super(`Failed to decode record in ${filePath} at byte ${offset}: ${reason}`);
+        this.name = 'RecordDecodeError';
+        this.filePath = filePath;
+        this.offset = offset;
+        this.reason = reason;
+    }
+}
+
+function maskedCrc(buffer) {
+    return maskCrc(crc32c(buffer)) >>> 0;
+}
+
+// Data files we can read: plain shards plus gzip/zlib compressed ones
+function isTfRecordFile(name) {
+    return name.endsWith('.tfrecord') || name.includes('.tfrecord-') || /\.tfrecords?\.(gz|gzip|zz|zlib)$/.test(name);
+}
+
+// Returns 'gzip', 'zlib' or null (plain TFRecord) by sniffing the first bytes of the file
+async function detectCompression(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const head = Buffer.alloc(HEADER_SIZE);
+        const { bytesRead } = await handle.read(head, 0, HEADER_SIZE, 0);
+
+        // A valid plain record header wins, since a record length can start with magic-looking bytes
+        if (bytesRead === HEADER_SIZE && maskedCrc(head.subarray(0, 8)) === head.readUInt32LE(8)) return null;
+
+        if (bytesRead >= 3 && head[0] === 0x1f && head[1] === 0x8b && head[2] === 0x08) return 'gzip';
+        if (bytesRead >= 2 && (head[0] & 0x0f) === 0x08 && ((head[0] << 8) | head[1]) % 31 === 0) return 'zlib';
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Compressed shards are inflated once into a seekable sidecar under <dataDir>/.cache, named after
+// the source's size and mtime so a changed file gets a fresh copy. Offsets from indexRecords()
+// refer to this uncompressed stream.
+const pendingDecompressions = new Map();
+
+function decompressedPath(filePath, size, mtimeMs) {
+    const cacheDir = path.join(path.dirname(filePath), '.cache');
+    return path.join(cacheDir, `${path.basename(filePath)}.${size}-${Math.floor(mtimeMs)}.tfrecord`);
+}
+
+async function ensureDecompressed(filePath, compression) {
+    const { size, mtimeMs } = await fs.promises.stat(filePath);
+    const target = decompressedPath(filePath, size, mtimeMs);
+
+    if (fs.existsSync(target)) return target;
+    // Readers opening the same file at once share one decompression
+    if (pendingDecompressions.has(target)) return pendingDecompressions.get(target);
+
+    const run = (async () => {
+        const cacheDir = path.dirname(target);
+        await fs.promises.mkdir(cacheDir, { recursive: true });
+
+        // Drop copies made from older versions of this file
+        const prefix = `${path.basename(filePath)}.`;
+        for (const name of await fs.promises.readdir(cacheDir)) {
+            if (name.startsWith(prefix) && path.join(cacheDir, name) !== target) {
+                await fs.promises.rm(path.join(cacheDir, name), { force: true });
+            }
+        }
+
+        console.log(`Decompressing ${path.basename(filePath)} (${compression})...`);
+        const started = Date.now();
+        const tmp = `${target}.tmp`;
+        await pipeline(
+            fs.createReadStream(filePath),
+            compression === 'gzip' ? zlib.createGunzip() : zlib.createInflate(),
+            fs.createWriteStream(tmp)
+        );
+        await fs.promises.rename(tmp, target);
+        console.log(`Decompressed ${path.basename(filePath)} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+        return target;
+    })().finally(() => {
+        pendingDecompressions.delete(target);
+    });
+
+    pendingDecompressions.set(target, run);
+    return run;
+}
 
 class TFRecordsStreamReader {
-    constructor(filePath) {
+    // verifyCrc: check the length and data checksums of every record
+    // recover: on a corrupt record, skip ahead to the next valid one instead of throwing
+    constructor(filePath, { verifyCrc = VERIFY_CRC, recover = RECOVER } = {}) {
         this.filePath = filePath;
         this.fileHandle = null;
-        this.lengthBuffer = Buffer.alloc(8); // Reusable length buffer
+        this.fileSize = 0;
+        this.verifyCrc = verifyCrc;
+        this.recover = recover;
+        this.headerBuffer = Buffer.alloc(HEADER_SIZE); // Reusable header buffer
+        // Corrupt spans skipped in recovery mode: [{ offset, resumedAt, reason }]
+        this.corruptions = [];
     }
 
     async open() {
-        this.fileHandle = await fs.promises.open(this.filePath, 'r');
+        // Compressed shards are read through their decompressed copy
+        const compression = await detectCompression(this.filePath);
+        const readPath = compression ? await ensureDecompressed(this.filePath, compression) : this.filePath;
+
+        this.fileHandle = await fs.promises.open(readPath, 'r');
+        const { size } = await this.fileHandle.stat();
+        this.fileSize = size;
     }
 
     async close() {
@@ -20,6 +147,106 @@ class TFRecordsStreamReader {
         }
     }
 
+    corrupt(offset, reason) {
+        return new TFRecordCorruptionError(this.filePath, offset, reason);
+    }
+
+    // Reads the record at `position`. Returns null at a clean EOF, otherwise
+    // { data, next } (data only when `withData` or CRC checks need it).
+    async readRecord(position, { withData = true, verifyCrc = this.verifyCrc } = {}) {
+        // Read Length (8 bytes) + Length CRC (4 bytes)
+        const { bytesRead } = await this.fileHandle.read(this.headerBuffer, 0, HEADER_SIZE, position);
+        if (bytesRead === 0) return null; // EOF
+        if (bytesRead < HEADER_SIZE) throw this.corrupt(position, 'unexpected EOF reading record header');
+
+        if (verifyCrc) {
+            const expected = this.headerBuffer.readUInt32LE(8);
+            if (maskedCrc(this.headerBuffer.subarray(0, 8)) !== expected) {
+                throw this.corrupt(position, 'length CRC mismatch');
+            }
+        }
+
+        const dataLength = readInt64(this.headerBuffer);
+        const next = position + HEADER_SIZE + dataLength + FOOTER_SIZE;
+        if (!(dataLength >= 0) || next > this.fileSize) {
+            throw this.corrupt(position, `record length ${dataLength} runs past end of file (${this.fileSize} bytes)`);
+        }
+
+        if (!withData && !verifyCrc) return { data: null, next };
+
+        // Read Data + Data CRC
+        const buffer = Buffer.allocUnsafe(dataLength + FOOTER_SIZE); // Use allocUnsafe for speed
+        const { bytesRead: dataBytesRead } = await this.fileHandle.read(buffer, 0, buffer.length, position + HEADER_SIZE);
+        if (dataBytesRead !== buffer.length) throw this.corrupt(position, 'unexpected EOF reading record data');
+
+        const data = buffer.subarray(0, dataLength);
+        if (verifyCrc && maskedCrc(data) !== buffer.readUInt32LE(dataLength)) {
+            throw this.corrupt(position, 'data CRC mismatch');
+        }
+
+        return { data, next };
+    }
+
+    // Decodes a tf.Example into the canonical record shape: { features: { name: TypedArray | string[] } }.
+    // Scenario protos are converted into the same shape, plus their map topology (see scenario_proto.js).
+    decode(data, position) {
+        try {
+            if (isScenarioProto(data)) return scenarioToRecord(decodeScenario(data));
+
+            const { features, kinds } = decodeExample(data);
+            validateFeatures(kinds, SCHEMA);
+            return { features };
+        } catch (error) {
+            throw new RecordDecodeError(this.filePath, position, error.message);
+        }
+    }
+
+    // Finds the first offset >= `from` holding a record whose checksums are valid, or -1
+    async findNextRecord(from) {
+        const chunk = Buffer.allocUnsafe(RESYNC_CHUNK_SIZE);
+        let chunkStart = from;
+
+        while (chunkStart + HEADER_SIZE <= this.fileSize) {
+            const { bytesRead } = await this.fileHandle.read(chunk, 0, RESYNC_CHUNK_SIZE, chunkStart);
+            if (bytesRead < HEADER_SIZE) break;
+
+            for (let i = 0; i + HEADER_SIZE <= bytesRead; i++) {
+                if (maskedCrc(chunk.subarray(i, i + 8)) !== chunk.readUInt32LE(i + 8)) continue;
+
+                // Header looks right; make sure the whole record does too
+                const candidate = chunkStart + i;
+                try {
+                    await this.readRecord(candidate, { verifyCrc: true });
+                    return candidate;
+                } catch (error) {
+                    if (!(error instanceof TFRecordCorruptionError)) throw error;
+                }
+            }
+
+            // Overlap so headers straddling the chunk boundary are still seen
+            chunkStart += bytesRead - HEADER_SIZE + 1;
+        }
+
+        return -1;
+    }
+
+    // In recovery mode, records the corruption and returns where to resume (-1 = give up).
+    // Otherwise rethrows.
+    async handleCorruption(error, position) {
+        if (!this.recover || !(error instanceof TFRecordCorruptionError)) throw error;
+
+        console.warn(`${error.message}. Resyncing...`);
+        const resumedAt = await this.findNextRecord(position + 1);
+        this.corruptions.push({ offset: position, resumedAt, reason: error.reason });
+
+        if (resumedAt === -1) {
+            console.warn(`No further valid records in ${this.filePath}`);
+        } else {
+            console.warn(`Resynced at byte ${resumedAt} (skipped ${resumedAt - position} bytes)`);
+        }
+        return resumedAt;
+    }
+
     async *getStream(startOffset = 0) {
         if (!this.fileHandle) {
             await this.open();
@@ -29,35 +256,38 @@ class TFRecordsStreamReader {
 
         try {
             while (true) {
-                // Read Length (8 bytes)
-                const { bytesRead: lengthBytesRead } = await this.fileHandle.read(this.lengthBuffer, 0, 8, position);
-                if (lengthBytesRead === 0) break; // EOF
-                if (lengthBytesRead < 8) throw new Error('Unexpected EOF reading length');
-
-                const dataLength = readInt64(this.lengthBuffer);
-                position += 8;
+                let record;
+                try {
+                    record = await this.readRecord(position);
+                } catch (error) {
+                    position = await this.handleCorruption(error, position);
+                    if (position === -1) break;
+                    continue;
+                }
+                if (!record) break; // EOF
 
-                // Skip Length CRC (4 bytes)
-                position += 4;
+                // Deserialize; decode errors are not corruption and go to the caller as they are
+                const value = this.decode(record.data, position);
 
-                // Read Data
-                const dataBuffer = Buffer.allocUnsafe(dataLength); // Use allocUnsafe for speed
-                const { bytesRead: dataBytesRead } = await this.fileHandle.read(dataBuffer, 0, dataLength, position);
-                if (dataBytesRead !== dataLength) throw new Error('Unexpected EOF reading data');
-                position += dataLength;
-
-                // Skip Data CRC (4 bytes)
-                position += 4;
-
-                // Deserialize
-                const imageMessage = TFRecordsImageMessage.deserializeBinary(dataBuffer);
-                yield imageMessage.toObject();
+                position = record.next;
+                yield value;
             }
         } finally {
              // Do NOT auto-close here if we plan to reuse the file handle for wrap-around.
         }
     }
 
+    // Reads the single record starting at `offset` (as returned by indexRecords)
+    async readRecordAt(offset) {
+        const stream = this.getStream(offset);
+        try {
+            const { value, done } = await stream.next();
+            return done ? null : value;
+        } finally {
+            await stream.return();
+        }
+    }
+
     // Returns array of start positions (byte offsets) for each record
     async indexRecords() {
         if (!this.fileHandle) {
@@ -69,25 +299,27 @@ class TFRecordsStreamReader {
 
         try {
             while (true) {
-                // Read Length (8 bytes)
-                const { bytesRead: lengthBytesRead } = await this.fileHandle.read(this.lengthBuffer, 0, 8, position);
-                if (lengthBytesRead === 0) break; // EOF
-                if (lengthBytesRead < 8) throw new Error('Unexpected EOF reading length');
+                let record;
+                try {
+                    // Only the header is needed unless checksums are being verified
+                    record = await this.readRecord(position, { withData: false });
+                } catch (error) {
+                    position = await this.handleCorruption(error, position);
+                    if (position === -1) break;
+                    continue;
+                }
+                if (!record) break; // EOF
 
                 offsets.push(position);
-
-                const dataLength = readInt64(this.lengthBuffer);
-                
-                // Move position: 8 (Length) + 4 (Length CRC) + dataLength + 4 (Data CRC)
-                position += 8 + 4 + dataLength + 4;
+                position = record.next;
             }
         } catch (error) {
             console.error('Error indexing records:', error);
             throw error;
         }
-        
+
         return offsets;
     }
 }
 
-module.exports = { TFRecordsStreamReader };
+module.exports = { TFRecordsStreamReader, TFRecordCorruptionError, RecordDecodeError, isTfRecordFile, detectCompression };
@@ -0,0 +1,28 @@
+// Helpers for poking at decoded tf.Example records ({ features: { name: values } }, see tf_example.js)
+
+// Returns the value array (TypedArray or string[]) of feature `key`, or undefined
+function getFeature(record, key) {
+    const features = record?.features;
+    if (!features || !Object.prototype.hasOwnProperty.call(features, key)) return undefined;
+    return features[key];
+}
+
+// Value list of a feature ([] when missing)
+function getValues(record, key) {
+    return getFeature(record, key) || [];
+}
+
+function getScenarioId(record) {
+    const idVal = getFeature(record, 'scenario/id')?.[0];
+    if (!idVal) return null;
+    return String(idVal);
+}
+
+// Older links carry the base64 form the viewer used to show; accept either
+function scenarioIdMatches(recordId, wanted) {
+    if (!recordId || !wanted) return false;
+    if (recordId === wanted) return true;
+    return Buffer.from(wanted, 'base64').toString('utf8') === recordId;
+}
+
+module.exports = { getFeature, getValues, getScenarioId, scenarioIdMatches };
@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+
+const { TFRecordsStreamReader } = require('./read_data_stream');
+const { getValues, getScenarioId } = require('./record_utils');
+
+// Bump whenever the per-record summary changes shape so stale caches get rebuilt
+const INDEX_VERSION = 4;
+
+// Agent types (state/type)
+const AGENT_TYPE_NAMES = { 1: 'vehicles', 2: 'pedestrians', 3: 'cyclists', 4: 'others' };
+
+// Traffic light states that mean "stop" (arrow / plain / flashing red)
+const RED_LIGHT_STATES = [1, 4, 7];
+const STOPPED_SPEED = 0.5; // m/s
+const RED_LIGHT_RADIUS = 30; // m, how close a red light in front must be to count as "stopped at" it
+
+// Flattens state/{past,current,future}/<field> into one agent-major [count * steps] array
+function stateSeries(record, field, count, pastLen, futureLen) {
+    const past = getValues(record, `state/past/${field}`);
+    const curr = getValues(record, `state/current/${field}`);
+    const future = getValues(record, `state/future/${field}`);
+    const steps = pastLen + 1 + futureLen;
+    const out = new Array(count * steps);
+    for (let i = 0; i < count; i++) {
+        for (let t = 0; t < pastLen; t++) out[i * steps + t] = past[i * pastLen + t];
+        out[i * steps + pastLen] = curr[i];
+        for (let t = 0; t < futureLen; t++) out[i * steps + pastLen + 1 + t] = future[i * futureLen + t];
+    }
+    return out;
+}
+
+// Traffic light features are time-major ([steps, lights]); returns per-step arrays of { x, y, state }
+// aligned with the agent steps (missing steps are empty)
+function trafficLightSteps(record, pastLen, futureLen) {
+    const steps = [];
+    const segments = { past: pastLen, current: 1, future: futureLen };
+    for (const prefix of ['past', 'current', 'future']) {
+        const states = getValues(record, `traffic_light_state/${prefix}/state`);
+        const xs = getValues(record, `traffic_light_state/${prefix}/x`);
+        const ys = getValues(record, `traffic_light_state/${prefix}/y`);
+        const valid = getValues(record, `traffic_light_state/${prefix}/valid`);
+        const numLights = getValues(record, 'traffic_light_state/current/state').length;
+        const len = numLights ? states.length / numLights : 0;
+        for (let t = 0; t < segments[prefix]; t++) {
+            if (t >= len) {
+                steps.push([]);
+                continue;
+            }
+            const lights = [];
+            for (let l = 0; l < numLights; l++) {
+                const idx = t * numLights + l;
+                if (Number(valid[idx]) !== 1) continue;
+                lights.push({ x: xs[idx], y: ys[idx], state: Number(states[idx]) });
+            }
+            steps.push(lights);
+        }
+    }
+    return steps;
+}
+
+// Builds a compact summary of one scenario for the catalog
+function summarizeRecord(record, offset) {
+    const ids = getValues(record, 'state/id');
+    const types = getValues(record, 'state/type');
+    const isSdc = getValues(record, 'state/is_sdc');
+    const count = ids.length;
+
+    const pastLen = count ? getValues(record, 'state/past/valid').length / count : 0;
+    const futureLen = count ? getValues(record, 'state/future/valid').length / count : 0;
+    const steps = pastLen + 1 + futureLen;
+
+    const valid = stateSeries(record, 'valid', count, pastLen, futureLen);
+    const xs = stateSeries(record, 'x', count, pastLen, futureLen);
+    const ys = stateSeries(record, 'y', count, pastLen, futureLen);
+    const yaws = stateSeries(record, 'bbox_yaw', count, pastLen, futureLen);
+    const speeds = stateSeries(record, 'speed', count, pastLen, futureLen);
+    const vxs = stateSeries(record, 'velocity_x', count, pastLen, futureLen);
+    const vys = stateSeries(record, 'velocity_y', count, pastLen, futureLen);
+
+    const isValid = (i, t) => Number(valid[i * steps + t]) === 1;
+    const speedAt = (i, t) => {
+        const idx = i * steps + t;
+        if (speeds[idx] !== undefined) return speeds[idx];
+        const vx = vxs[idx] || 0;
+        const vy = vys[idx] || 0;
+        return Math.sqrt(vx * vx + vy * vy);
+    };
+
+    // An agent counts if it is valid at any step (rows are padded to a fixed size)
+    const agents = { total: 0, vehicles: 0, pedestrians: 0, cyclists: 0, others: 0 };
+    const validAgents = [];
+    let sdcIndex = -1;
+    for (let i = 0; i < count; i++) {
+        if (Number(isSdc[i]) === 1) sdcIndex = i;
+        let any = false;
+        for (let t = 0; t < steps && !any; t++) any = isValid(i, t);
+        if (!any) continue;
+        validAgents.push(i);
+        agents.total++;
+        agents[AGENT_TYPE_NAMES[Number(types[i])] || 'others']++;
+    }
+
+    let sdcSpeed = null;
+    let sdcStoppedAtRed = false;
+    // Closest approach of each agent type to the SDC over the scenario
+    const minDistanceToSdc = { vehicles: null, pedestrians: null, cyclists: null, others: null };
+
+    if (sdcIndex !== -1) {
+        // SDC speed range over its valid steps
+        let min = Infinity;
+        let max = -Infinity;
+        for (let t = 0; t < steps; t++) {
+            if (!isValid(sdcIndex, t)) continue;
+            const speed = speedAt(sdcIndex, t);
+            if (speed < min) min = speed;
+            if (speed > max) max = speed;
+        }
+        if (min !== Infinity) sdcSpeed = { min, max };
+
+        for (const i of validAgents) {
+            if (i === sdcIndex) continue;
+            const key = AGENT_TYPE_NAMES[Number(types[i])] || 'others';
+            for (let t = 0; t < steps; t++) {
+                if (!isValid(i, t) || !isValid(sdcIndex, t)) continue;
+                const dx = xs[i * steps + t] - xs[sdcIndex * steps + t];
+                const dy = ys[i * steps + t] - ys[sdcIndex * steps + t];
+                const d = Math.sqrt(dx * dx + dy * dy);
+                if (minDistanceToSdc[key] === null || d < minDistanceToSdc[key]) minDistanceToSdc[key] = d;
+            }
+        }
+
+        // Stopped with a red light close ahead (same test as the frontend's red light bubble)
+        const lightSteps = trafficLightSteps(record, pastLen, futureLen);
+        for (let t = 0; t < steps && !sdcStoppedAtRed; t++) {
+            if (!isValid(sdcIndex, t) || speedAt(sdcIndex, t) >= STOPPED_SPEED) continue;
+            const sx = xs[sdcIndex * steps + t];
+            const sy = ys[sdcIndex * steps + t];
+            const yaw = yaws[sdcIndex * steps + t] || 0;
+            for (const light of lightSteps[t]) {
+                if (!RED_LIGHT_STATES.includes(light.state)) continue;
+                const dx = light.x - sx;
+                const dy = light.y - sy;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist > RED_LIGHT_RADIUS || dist === 0) continue;
+                const dot = (Math.cos(yaw) * dx + Math.sin(yaw) * dy) / dist;
+                if (dot > 0.5) {
+                    sdcStoppedAtRed = true;
+                    break;
+                }
+            }
+        }
+    }
+
+    // Distinct traffic lights valid at the current step
+    const lightIds = getValues(record, 'traffic_light_state/current/id');
+    const lightValid = getValues(record, 'traffic_light_state/current/valid');
+    const lights = new Set();
+    for (let i = 0; i < lightIds.length; i++) {
+        if (Number(lightValid[i]) === 1) lights.add(Number(lightIds[i]));
+    }
+
+    // Which roadgraph sample types appear (1 = freeway lane, 2 = surface street, 3 = bike lane, ...)
+    const roadgraphValid = getValues(record, 'roadgraph_samples/valid');
+    const roadgraphTypes = new Set();
+    getValues(record, 'roadgraph_samples/type').forEach((type, i) => {
+        if (roadgraphValid.length === 0 || Number(roadgraphValid[i]) === 1) roadgraphTypes.add(Number(type));
+    });
+
+    return {
+        offset,
+        scenarioId: getScenarioId(record),
+        agents,
+        sdcSpeed,
+        sdcStoppedAtRed,
+        minDistanceToSdc,
+        trafficLights: lights.size,
+        roadgraphTypes: Array.from(roadgraphTypes).sort((a, b) => a - b)
+    };
+}
+
+// Catalog of every record in DATA_DIR, cached on disk per file and keyed by size + mtime.
+class ScenarioIndex {
+    constructor(dataDir, { cacheDir = path.join(dataDir, '.index') } = {}) {
+        this.dataDir = dataDir;
+        this.cacheDir = cacheDir;
+
+        // filename -> { size, mtimeMs, records: [summary] }
+        this.entries = new Map();
+        // scenarioId -> { file, index }
+        this.byId = new Map();
+
+        this.building = null;
+        // Files for the build to run after the current one, and the promise for that run
+        this.queuedFiles = null;
+        this.queuedBuild = null;
+        // Names, sizes and mtimes of the files the last build covered
+        this.builtSignature = null;
+        this.status = { state: 'idle', filesIndexed: 0, totalFiles: 0, records: 0 };
+    }
+
+    cachePath(filename) {
+        return path.join(this.cacheDir, `${filename}.json`);
+    }
+
+    // Index every file in the background. Does nothing if the file list and every file's size and
+    // mtime are unchanged since the last build. A call during a build queues one more build with
+    // the newest list rather than sharing the running one, which may predate new files.
+    build(files) {
+        if (this.building) {
+            this.queuedFiles = files;
+            if (!this.queuedBuild) {
+                this.queuedBuild = this.building.catch(() => {}).then(() => {
+                    const queued = this.queuedFiles;
+                    this.queuedFiles = null;
+                    this.queuedBuild = null;
+                    return this.build(queued);
+                });
+            }
+            return this.queuedBuild;
+        }
+
+        this.building = this.buildIfChanged(files).finally(() => {
+            this.building = null;
+        });
+        return this.building;
+    }
+
+    async buildIfChanged(files) {
+        const signature = await this.signature(files);
+        if (signature === this.builtSignature) return;
+        await this.buildAll(files);
+        this.builtSignature = signature;
+    }
+
+    async signature(files) {
+        const parts = await Promise.all(files.map(async filename => {
+            try {
+                const { size, mtimeMs } = await fs.promises.stat(path.join(this.dataDir, filename));
+                return `${filename}:${size}:${mtimeMs}`;
+            } catch {
+                return `${filename}:missing`;
+            }
+        }));
+        return parts.sort().join('\n');
+    }
+
+    async buildAll(files) {
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+
+        this.status = { state: 'indexing', filesIndexed: 0, totalFiles: files.length, records: 0 };
+        const started = Date.now();
+
+        // Forget files that disappeared from the directory
+        for (const filename of Array.from(this.entries.keys())) {
+            if (!files.includes(filename)) this.removeEntry(filename);
+        }
+
+        for (const filename of files) {
+            try {
+                await this.indexFile(filename);
+            } catch (error) {
+                console.error(`Index: failed to index ${filename}:`, error);
+            }
+            this.status.filesIndexed++;
+        }
+
+        this.status.state = 'ready';
+        this.status.records = this.recordCount();
+        console.log(`Index: ${this.status.records} scenarios in ${files.length} files (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+    }
+
+    // Loads the cached entry for `filename` or rescans it if the file changed
+    async indexFile(filename) {
+        const fullPath = path.join(this.dataDir, filename);
+        const { size, mtimeMs } = await fs.promises.stat(fullPath);
+
+        const current = this.entries.get(filename);
+        if (current && current.size === size && current.mtimeMs === mtimeMs) return current;
+
+        const cached = await this.readCache(filename);
+        if (cached && cached.version === INDEX_VERSION && cached.size === size && cached.mtimeMs === mtimeMs) {
+            this.setEntry(filename, cached);
+            return cached;
+        }
+
+        console.log(`Index: scanning ${filename}...`);
+        const reader = new TFRecordsStreamReader(fullPath);
+        const records = [];
+        try {
+            const offsets = await reader.indexRecords();
+            for (const offset of offsets) {
+                const record = await reader.readRecordAt(offset);
+                records.push(summarizeRecord(record, offset));
+            }
+        } finally {
+            await reader.close();
+        }
+
+        const entry = { version: INDEX_VERSION, size, mtimeMs, records };
+        this.setEntry(filename, entry);
+        await fs.promises.writeFile(this.cachePath(filename), JSON.stringify(entry));
+        return entry;
+    }
+
+    async readCache(filename) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.cachePath(filename), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    setEntry(filename, entry) {
+        this.removeEntry(filename);
+        this.entries.set(filename, entry);
+        entry.records.forEach((rec, index) => {
+            if (rec.scenarioId) this.byId.set(rec.scenarioId, { file: filename, index });
+        });
+    }
+
+    removeEntry(filename) {
+        const old = this.entries.get(filename);
+        if (!old) return;
+        for (const rec of old.records) {
+            if (rec.scenarioId) this.byId.delete(rec.scenarioId);
+        }
+        this.entries.delete(filename);
+    }
+
+    isReady() {
+        return this.status.state === 'ready';
+    }
+
+    // Record offsets for a file, or null if it isn't indexed yet or (given its current
+    // { size, mtimeMs }) was indexed before the file last changed
+    getOffsets(filename, stat = null) {
+        const entry = this.entries.get(filename);
+        if (!entry) return null;
+        if (stat && (entry.size !== stat.size || entry.mtimeMs !== stat.mtimeMs)) return null;
+        return entry.records.map(r => r.offset);
+    }
+
+    getRecords(filename) {
+        return this.entries.get(filename)?.records || null;
+    }
+
+    // Yields { file, index, summary } for every indexed scenario, in `files` order
+    *scenarios(files = Array.from(this.entries.keys())) {
+        for (const file of files) {
+            const entry = this.entries.get(file);
+            if (!entry) continue;
+            for (let index = 0; index < entry.records.length; index++) {
+                yield { file, index, summary: entry.records[index] };
+            }
+        }
+    }
+
+    // Resolves a scenario id (or its legacy base64 form) to { file, index }
+    findById(scenarioId) {
+        if (this.byId.has(scenarioId)) return this.byId.get(scenarioId);
+        const decoded = Buffer.from(scenarioId, 'base64').toString('utf8');
+        return this.byId.get(decoded) || null;
+    }
+
+    recordCount() {
+        let total = 0;
+        for (const entry of this.entries.values()) total += entry.records.length;
+        return total;
+    }
+}
+
+module.exports = { ScenarioIndex, summarizeRecord, INDEX_VERSION };
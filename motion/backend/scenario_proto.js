@@ -0,0 +1,433 @@
+// Decoder for the Waymo Open Motion Dataset `Scenario` proto (scenario.proto / map.proto) and its
+// conversion into the canonical record shape the tf.Example reader produces.
+//
+// The converted record carries the usual tf.Example-named features (state/*, roadgraph_samples/*,
+// traffic_light_state/*) so the frontend and the catalog work unchanged, plus `mapFeatures`: the map
+// topology tf.Example flattens away (lane connectivity, neighbors, boundaries, polygons).
+
+const { Reader, ProtoDecodeError, WIRE_LEN } = require('./protobuf');
+const SCHEMA = require('./schema.json');
+
+// roadgraph_samples/type values used by the tf.Example format
+const ROADGRAPH_UNKNOWN = -1;
+const ROADGRAPH_ROAD_LINE_OFFSET = 5; // RoadLine types 1..8 -> 6..13
+const ROADGRAPH_ROAD_EDGE_OFFSET = 14; // RoadEdge types 1..2 -> 15..16
+const ROADGRAPH_STOP_SIGN = 17;
+const ROADGRAPH_CROSSWALK = 18;
+const ROADGRAPH_SPEED_BUMP = 19;
+const ROADGRAPH_DRIVEWAY = 20;
+
+// Top-level field numbers: a tf.Example only ever has field 1 (features), a Scenario always has
+// more (tracks = 2, scenario_id = 5, ...). Used to tell the two formats apart per record.
+function isScenarioProto(buf) {
+    const r = new Reader(buf);
+    try {
+        while (!r.done()) {
+            const tag = r.varint();
+            if (tag >>> 3 !== 1) return true;
+            r.skip(tag & 7);
+        }
+    } catch {
+        return false;
+    }
+    return false;
+}
+
+// Generic message walker: calls handlers[fieldNumber](reader, wireType) and skips everything else
+function readMessage(r, handlers, target) {
+    while (!r.done()) {
+        const tag = r.varint();
+        const handler = handlers[tag >>> 3];
+        if (handler) handler(r, tag & 7, target);
+        else r.skip(tag & 7);
+    }
+    return target;
+}
+
+function expectLen(wireType, what) {
+    if (wireType !== WIRE_LEN) throw new ProtoDecodeError(`${what} must be length-delimited`);
+}
+
+// MapPoint { double x = 1; double y = 2; double z = 3; } appended to a flat [x, y, z, ...] array
+function readPoint(r, wireType, out) {
+    expectLen(wireType, 'MapPoint');
+    const point = readMessage(r.sub(), {
+        1: (m, w, p) => { p[0] = m.double(); },
+        2: (m, w, p) => { p[1] = m.double(); },
+        3: (m, w, p) => { p[2] = m.double(); }
+    }, [0, 0, 0]);
+    out.push(point[0], point[1], point[2]);
+}
+
+const OBJECT_STATE_FIELDS = {
+    2: (m, w, s) => { s.x = m.double(); },
+    3: (m, w, s) => { s.y = m.double(); },
+    4: (m, w, s) => { s.z = m.double(); },
+    5: (m, w, s) => { s.length = m.double(); },
+    6: (m, w, s) => { s.width = m.double(); },
+    7: (m, w, s) => { s.height = m.double(); },
+    8: (m, w, s) => { s.heading = m.double(); },
+    9: (m, w, s) => { s.velocityX = m.double(); },
+    10: (m, w, s) => { s.velocityY = m.double(); },
+    11: (m, w, s) => { s.valid = m.varint() !== 0; }
+};
+
+function newObjectState() {
+    return { x: 0, y: 0, z: 0, length: 0, width: 0, height: 0, heading: 0, velocityX: 0, velocityY: 0, valid: false };
+}
+
+const TRACK_FIELDS = {
+    1: (m, w, t) => { t.id = m.varint(); },
+    2: (m, w, t) => { t.objectType = m.varint(); },
+    3: (m, w, t) => { expectLen(w, 'ObjectState'); t.states.push(readMessage(m.sub(), OBJECT_STATE_FIELDS, newObjectState())); }
+};
+
+const LANE_STATE_FIELDS = {
+    1: (m, w, s) => { s.lane = m.varint(); },
+    2: (m, w, s) => { s.state = m.varint(); },
+    3: (m, w, s) => { s.stopPoint = []; readPoint(m, w, s.stopPoint); }
+};
+
+const DYNAMIC_MAP_STATE_FIELDS = {
+    1: (m, w, d) => { expectLen(w, 'TrafficSignalLaneState'); d.laneStates.push(readMessage(m.sub(), LANE_STATE_FIELDS, { lane: 0, state: 0, stopPoint: null })); }
+};
+
+const BOUNDARY_FIELDS = {
+    1: (m, w, b) => { b.laneStartIndex = m.varint(); },
+    2: (m, w, b) => { b.laneEndIndex = m.varint(); },
+    3: (m, w, b) => { b.boundaryFeatureId = m.varint(); },
+    4: (m, w, b) => { b.boundaryType = m.varint(); }
+};
+
+function readBoundary(m, w) {
+    expectLen(w, 'BoundarySegment');
+    return readMessage(m.sub(), BOUNDARY_FIELDS, { laneStartIndex: 0, laneEndIndex: 0, boundaryFeatureId: 0, boundaryType: 0 });
+}
+
+const NEIGHBOR_FIELDS = {
+    1: (m, w, n) => { n.featureId = m.varint(); },
+    2: (m, w, n) => { n.selfStartIndex = m.varint(); },
+    3: (m, w, n) => { n.selfEndIndex = m.varint(); },
+    4: (m, w, n) => { n.neighborStartIndex = m.varint(); },
+    5: (m, w, n) => { n.neighborEndIndex = m.varint(); },
+    6: (m, w, n) => { n.boundaries.push(readBoundary(m, w)); }
+};
+
+function readNeighbor(m, w) {
+    expectLen(w, 'LaneNeighbor');
+    return readMessage(m.sub(), NEIGHBOR_FIELDS, {
+        featureId: 0, selfStartIndex: 0, selfEndIndex: 0, neighborStartIndex: 0, neighborEndIndex: 0, boundaries: []
+    });
+}
+
+const LANE_FIELDS = {
+    1: (m, w, l) => { l.speedLimitMph = m.double(); },
+    2: (m, w, l) => { l.type = m.varint(); },
+    3: (m, w, l) => { l.interpolating = m.varint() !== 0; },
+    8: (m, w, l) => readPoint(m, w, l.polyline),
+    9: (m, w, l) => m.repeatedVarint(w, l.entryLanes),
+    10: (m, w, l) => m.repeatedVarint(w, l.exitLanes),
+    11: (m, w, l) => { l.leftNeighbors.push(readNeighbor(m, w)); },
+    12: (m, w, l) => { l.rightNeighbors.push(readNeighbor(m, w)); },
+    13: (m, w, l) => { l.leftBoundaries.push(readBoundary(m, w)); },
+    14: (m, w, l) => { l.rightBoundaries.push(readBoundary(m, w)); }
+};
+
+// RoadLine / RoadEdge: { type = 1; repeated MapPoint polyline = 2; }
+const TYPED_POLYLINE_FIELDS = {
+    1: (m, w, f) => { f.type = m.varint(); },
+    2: (m, w, f) => readPoint(m, w, f.polyline)
+};
+
+// Crosswalk / SpeedBump / Driveway: { repeated MapPoint polygon = 1; }
+const POLYGON_FIELDS = {
+    1: (m, w, f) => readPoint(m, w, f.polygon)
+};
+
+const STOP_SIGN_FIELDS = {
+    1: (m, w, s) => m.repeatedVarint(w, s.lanes),
+    2: (m, w, s) => { s.position = []; readPoint(m, w, s.position); }
+};
+
+// MapFeature { int64 id = 1; oneof { lane = 3; road_line = 4; road_edge = 5; stop_sign = 7;
+//              crosswalk = 8; speed_bump = 9; driveway = 10; } }
+const MAP_FEATURE_KINDS = {
+    3: ['lane', LANE_FIELDS, () => ({
+        type: 0, speedLimitMph: 0, interpolating: false, polyline: [], entryLanes: [], exitLanes: [],
+        leftNeighbors: [], rightNeighbors: [], leftBoundaries: [], rightBoundaries: []
+    })],
+    4: ['roadLine', TYPED_POLYLINE_FIELDS, () => ({ type: 0, polyline: [] })],
+    5: ['roadEdge', TYPED_POLYLINE_FIELDS, () => ({ type: 0, polyline: [] })],
+    7: ['stopSign', STOP_SIGN_FIELDS, () => ({ lanes: [], position: null })],
+    8: ['crosswalk', POLYGON_FIELDS, () => ({ polygon: [] })],
+    9: ['speedBump', POLYGON_FIELDS, () => ({ polygon: [] })],
+    10: ['driveway', POLYGON_FIELDS, () => ({ polygon: [] })]
+};
+
+function readMapFeature(r) {
+    const feature = { id: 0, kind: null };
+    while (!r.done()) {
+        const tag = r.varint();
+        const field = tag >>> 3;
+        if (field === 1) {
+            feature.id = r.varint();
+        } else if (MAP_FEATURE_KINDS[field] && (tag & 7) === WIRE_LEN) {
+            const [kind, fields, create] = MAP_FEATURE_KINDS[field];
+            feature.kind = kind;
+            Object.assign(feature, readMessage(r.sub(), fields, create()));
+        } else {
+            r.skip(tag & 7);
+        }
+    }
+    return feature;
+}
+
+const SCENARIO_FIELDS = {
+    1: (m, w, s) => m.repeatedDouble(w, s.timestamps),
+    2: (m, w, s) => { expectLen(w, 'Track'); s.tracks.push(readMessage(m.sub(), TRACK_FIELDS, { id: 0, objectType: 0, states: [] })); },
+    4: (m, w, s) => m.repeatedVarint(w, s.objectsOfInterest),
+    5: (m, w, s) => { s.scenarioId = m.string(); },
+    6: (m, w, s) => { s.sdcTrackIndex = m.varint(); },
+    7: (m, w, s) => { expectLen(w, 'DynamicMapState'); s.dynamicMapStates.push(readMessage(m.sub(), DYNAMIC_MAP_STATE_FIELDS, { laneStates: [] })); },
+    8: (m, w, s) => { expectLen(w, 'MapFeature'); s.mapFeatures.push(readMapFeature(m.sub())); },
+    10: (m, w, s) => { s.currentTimeIndex = m.varint(); },
+    // RequiredPrediction { int32 track_index = 1; DifficultyLevel difficulty = 2; }
+    11: (m, w, s) => {
+        expectLen(w, 'RequiredPrediction');
+        s.tracksToPredict.push(readMessage(m.sub(), {
+            1: (p, pw, t) => { t.trackIndex = p.varint(); },
+            2: (p, pw, t) => { t.difficulty = p.varint(); }
+        }, { trackIndex: 0, difficulty: 0 }));
+    }
+    // 12 (compressed_frame_laser_data) is skipped
+};
+
+// Decodes a serialized Scenario into plain objects (camelCase field names)
+function decodeScenario(buf) {
+    return readMessage(new Reader(buf), SCENARIO_FIELDS, {
+        scenarioId: '',
+        timestamps: [],
+        currentTimeIndex: 0,
+        tracks: [],
+        dynamicMapStates: [],
+        mapFeatures: [],
+        sdcTrackIndex: -1,
+        objectsOfInterest: [],
+        tracksToPredict: []
+    });
+}
+
+// Typed array for a feature, matching what decodeExample would produce for it
+function featureArray(name, values) {
+    return SCHEMA.context[name] === 'floatList' ? Float32Array.from(values) : Float64Array.from(values);
+}
+
+function roadgraphType(feature) {
+    switch (feature.kind) {
+        case 'lane': return feature.type || ROADGRAPH_UNKNOWN;
+        case 'roadLine': return feature.type ? feature.type + ROADGRAPH_ROAD_LINE_OFFSET : ROADGRAPH_UNKNOWN;
+        case 'roadEdge': return feature.type ? feature.type + ROADGRAPH_ROAD_EDGE_OFFSET : ROADGRAPH_UNKNOWN;
+        case 'stopSign': return ROADGRAPH_STOP_SIGN;
+        case 'crosswalk': return ROADGRAPH_CROSSWALK;
+        case 'speedBump': return ROADGRAPH_SPEED_BUMP;
+        case 'driveway': return ROADGRAPH_DRIVEWAY;
+        default: return ROADGRAPH_UNKNOWN;
+    }
+}
+
+// Polygons are closed so consecutive samples trace every edge, like the tf.Example sampling
+function closedPolygon(points) {
+    return points.length >= 6 ? points.concat(points.slice(0, 3)) : points;
+}
+
+// Unit direction of the lane polyline at the vertex nearest to (x, y), or [0, 0, 0]
+function laneDirectionNear(polyline, x, y) {
+    let best = -1;
+    let bestDist = Infinity;
+    for (let i = 0; i + 5 < polyline.length; i += 3) {
+        const d = (polyline[i] - x) ** 2 + (polyline[i + 1] - y) ** 2;
+        if (d < bestDist) {
+            bestDist = d;
+            best = i;
+        }
+    }
+    if (best === -1) return [0, 0, 0];
+    return unit(polyline[best + 3] - polyline[best], polyline[best + 4] - polyline[best + 1], polyline[best + 5] - polyline[best + 2]);
+}
+
+function unit(dx, dy, dz) {
+    const n = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    return n > 0 ? [dx / n, dy / n, dz / n] : [0, 0, 0];
+}
+
+// roadgraph_samples/*: every polyline vertex becomes a sample, dir points to the next vertex
+function roadgraphSamples(mapFeatures) {
+    const xyz = [];
+    const dir = [];
+    const type = [];
+    const id = [];
+    const lanesById = new Map(mapFeatures.filter(f => f.kind === 'lane').map(f => [f.id, f]));
+
+    for (const feature of mapFeatures) {
+        const featureType = roadgraphType(feature);
+
+        if (feature.kind === 'stopSign') {
+            if (!feature.position) continue;
+            const [x, y, z] = feature.position;
+            const lane = lanesById.get(feature.lanes[0]);
+            xyz.push(x, y, z);
+            dir.push(...(lane ? laneDirectionNear(lane.polyline, x, y) : [0, 0, 0]));
+            type.push(featureType);
+            id.push(feature.id);
+            continue;
+        }
+
+        const points = feature.polyline || closedPolygon(feature.polygon || []);
+        const count = points.length / 3;
+        for (let i = 0; i < count; i++) {
+            // The last vertex keeps the direction of the segment leading into it
+            const from = i + 1 < count ? i : i - 1;
+            const d = from >= 0
+                ? unit(points[from * 3 + 3] - points[from * 3], points[from * 3 + 4] - points[from * 3 + 1], points[from * 3 + 5] - points[from * 3 + 2])
+                : [0, 0, 0];
+            xyz.push(points[i * 3], points[i * 3 + 1], points[i * 3 + 2]);
+            dir.push(d[0], d[1], d[2]);
+            type.push(featureType);
+            id.push(feature.id);
+        }
+    }
+
+    return {
+        'roadgraph_samples/xyz': featureArray('roadgraph_samples/xyz', xyz),
+        'roadgraph_samples/dir': featureArray('roadgraph_samples/dir', dir),
+        'roadgraph_samples/type': featureArray('roadgraph_samples/type', type),
+        'roadgraph_samples/id': featureArray('roadgraph_samples/id', id),
+        'roadgraph_samples/valid': featureArray('roadgraph_samples/valid', type.map(() => 1))
+    };
+}
+
+// Time steps split the way tf.Example does: past = [0, current), current, future = (current, end]
+function splitSteps(scenario) {
+    const total = scenario.timestamps.length || Math.max(0, ...scenario.tracks.map(t => t.states.length));
+    const current = Math.min(scenario.currentTimeIndex, Math.max(total - 1, 0));
+    return {
+        past: Array.from({ length: current }, (_, i) => i),
+        current: [current],
+        future: Array.from({ length: Math.max(total - current - 1, 0) }, (_, i) => current + 1 + i)
+    };
+}
+
+// state/*: agent-major [agents, steps] per segment
+function agentFeatures(scenario, segments) {
+    const features = {};
+    const tracks = scenario.tracks;
+    const timestampMicros = (t) => Math.round((scenario.timestamps[t] || 0) * 1e6);
+
+    const columns = {
+        x: s => s.x,
+        y: s => s.y,
+        z: s => s.z,
+        bbox_yaw: s => s.heading,
+        length: s => s.length,
+        width: s => s.width,
+        height: s => s.height,
+        velocity_x: s => s.velocityX,
+        velocity_y: s => s.velocityY,
+        speed: s => Math.sqrt(s.velocityX * s.velocityX + s.velocityY * s.velocityY),
+        vel_yaw: s => Math.atan2(s.velocityY, s.velocityX),
+        valid: s => (s.valid ? 1 : 0)
+    };
+
+    for (const [segment, steps] of Object.entries(segments)) {
+        for (const [column, get] of Object.entries(columns)) {
+            const values = [];
+            for (const track of tracks) {
+                for (const t of steps) {
+                    const state = track.states[t];
+                    values.push(state ? get(state) : (column === 'valid' ? 0 : -1));
+                }
+            }
+            features[`state/${segment}/${column}`] = featureArray(`state/${segment}/${column}`, values);
+        }
+        const timestamps = [];
+        for (let i = 0; i < tracks.length; i++) {
+            for (const t of steps) timestamps.push(timestampMicros(t));
+        }
+        features[`state/${segment}/timestamp_micros`] = featureArray(`state/${segment}/timestamp_micros`, timestamps);
+    }
+
+    const ofInterest = new Set(scenario.objectsOfInterest);
+    const toPredict = new Map(scenario.tracksToPredict.map(p => [p.trackIndex, p.difficulty]));
+
+    features['state/id'] = featureArray('state/id', tracks.map(t => t.id));
+    features['state/type'] = featureArray('state/type', tracks.map(t => t.objectType));
+    features['state/is_sdc'] = featureArray('state/is_sdc', tracks.map((t, i) => (i === scenario.sdcTrackIndex ? 1 : 0)));
+    features['state/objects_of_interest'] = featureArray('state/objects_of_interest', tracks.map(t => (ofInterest.has(t.id) ? 1 : 0)));
+    features['state/tracks_to_predict'] = featureArray('state/tracks_to_predict', tracks.map((t, i) => (toPredict.has(i) ? 1 : 0)));
+    features['state/difficulty_level'] = featureArray('state/difficulty_level', tracks.map((t, i) => toPredict.get(i) || 0));
+
+    return features;
+}
+
+// traffic_light_state/*: time-major [steps, lights], one light per controlled lane seen in any step
+function trafficLightFeatures(scenario, segments) {
+    const features = {};
+    const lights = new Map(); // lane id -> stop point
+    for (const step of scenario.dynamicMapStates) {
+        for (const laneState of step.laneStates) {
+            if (!lights.has(laneState.lane) || !lights.get(laneState.lane)) {
+                lights.set(laneState.lane, laneState.stopPoint);
+            }
+        }
+    }
+    const laneIds = Array.from(lights.keys());
+
+    for (const [segment, steps] of Object.entries(segments)) {
+        const columns = { state: [], valid: [], x: [], y: [], z: [], id: [], timestamp_micros: [] };
+        for (const t of steps) {
+            const byLane = new Map((scenario.dynamicMapStates[t]?.laneStates || []).map(s => [s.lane, s]));
+            for (const lane of laneIds) {
+                const laneState = byLane.get(lane);
+                const point = laneState?.stopPoint || lights.get(lane) || [0, 0, 0];
+                columns.state.push(laneState ? laneState.state : 0);
+                columns.valid.push(laneState ? 1 : 0);
+                columns.x.push(point[0]);
+                columns.y.push(point[1]);
+                columns.z.push(point[2]);
+                columns.id.push(lane);
+                columns.timestamp_micros.push(Math.round((scenario.timestamps[t] || 0) * 1e6));
+            }
+        }
+        for (const [column, values] of Object.entries(columns)) {
+            const name = `traffic_light_state/${segment}/${column}`;
+            features[name] = featureArray(name, values);
+        }
+    }
+
+    return features;
+}
+
+// Map topology for layers that need more than roadgraph samples. Polylines/polygons are flat [x, y, z, ...].
+function mapTopology(mapFeatures) {
+    const topology = { lanes: [], roadLines: [], roadEdges: [], stopSigns: [], crosswalks: [], speedBumps: [], driveways: [] };
+    for (const { kind, ...feature } of mapFeatures) {
+        if (kind) topology[`${kind}s`].push(feature);
+    }
+    return topology;
+}
+
+// Converts a decoded Scenario into { features, mapFeatures }
+function scenarioToRecord(scenario) {
+    const segments = splitSteps(scenario);
+    return {
+        features: {
+            'scenario/id': [scenario.scenarioId],
+            ...agentFeatures(scenario, segments),
+            ...trafficLightFeatures(scenario, segments),
+            ...roadgraphSamples(scenario.mapFeatures)
+        },
+        mapFeatures: mapTopology(scenario.mapFeatures)
+    };
+}
+
+module.exports = { isScenarioProto, decodeScenario, scenarioToRecord };
@@ -0,0 +1,153 @@
+// Filters over the scenario catalog (see scenario_index.js for the summary fields)
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Road graph types by name for `roadType=`
+const ROAD_TYPES = { freeway: 1, surface: 2, bike: 3, crosswalk: 18, stop_sign: 17, speed_bump: 19, driveway: 20 };
+
+const AGENT_KEYS = ['agents', 'vehicles', 'pedestrians', 'cyclists', 'others'];
+
+class SearchQueryError extends Error {}
+
+function parseNumber(query, key) {
+    if (query[key] === undefined) return undefined;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value)) throw new SearchQueryError(`${key} must be a number`);
+    return value;
+}
+
+function parseBoolean(query, key) {
+    if (query[key] === undefined) return undefined;
+    if (query[key] === 'true' || query[key] === '1') return true;
+    if (query[key] === 'false' || query[key] === '0') return false;
+    throw new SearchQueryError(`${key} must be true or false`);
+}
+
+// Turns request query params into a filter object. Unknown params are ignored so
+// callers can forward a whole URL query string.
+//
+//   min<Type>/max<Type>      agent counts, Type = Agents|Vehicles|Pedestrians|Cyclists|Others
+//   <type>Within=<m>         a vehicle/pedestrian/cyclist/other came within <m> meters of the SDC
+//   sdcStoppedAtRed=true     SDC stopped with a red light close ahead
+//   minSdcSpeed/maxSdcSpeed  bounds on the SDC's top speed (m/s)
+//   minTrafficLights         number of traffic lights
+//   roadType=freeway,bike    road graph types present (names or numeric ids), all must match
+//   file=<name>              restrict to one data file
+function parseSearchQuery(query = {}) {
+    const filters = {};
+
+    for (const key of AGENT_KEYS) {
+        const suffix = key.charAt(0).toUpperCase() + key.slice(1);
+        const min = parseNumber(query, `min${suffix}`);
+        const max = parseNumber(query, `max${suffix}`);
+        if (min !== undefined || max !== undefined) {
+            filters.agents = filters.agents || {};
+            filters.agents[key === 'agents' ? 'total' : key] = { min, max };
+        }
+    }
+
+    for (const key of ['vehicles', 'pedestrians', 'cyclists', 'others']) {
+        // e.g. cyclistWithin=10
+        const within = parseNumber(query, `${key.slice(0, -1)}Within`);
+        if (within !== undefined) {
+            filters.within = filters.within || {};
+            filters.within[key] = within;
+        }
+    }
+
+    const stoppedAtRed = parseBoolean(query, 'sdcStoppedAtRed');
+    if (stoppedAtRed !== undefined) filters.sdcStoppedAtRed = stoppedAtRed;
+
+    const minSdcSpeed = parseNumber(query, 'minSdcSpeed');
+    const maxSdcSpeed = parseNumber(query, 'maxSdcSpeed');
+    if (minSdcSpeed !== undefined || maxSdcSpeed !== undefined) {
+        filters.sdcSpeed = { min: minSdcSpeed, max: maxSdcSpeed };
+    }
+
+    const minTrafficLights = parseNumber(query, 'minTrafficLights');
+    if (minTrafficLights !== undefined) filters.minTrafficLights = minTrafficLights;
+
+    if (query.roadType !== undefined) {
+        filters.roadTypes = String(query.roadType).split(',').map(name => {
+            const type = ROAD_TYPES[name] ?? Number(name);
+            if (!Number.isInteger(type)) throw new SearchQueryError(`Unknown roadType: ${name}`);
+            return type;
+        });
+    }
+
+    if (query.file !== undefined) filters.file = String(query.file);
+
+    return filters;
+}
+
+function hasFilters(filters) {
+    return Object.keys(filters).length > 0;
+}
+
+function inRange(value, { min, max }) {
+    if (min !== undefined && value < min) return false;
+    if (max !== undefined && value > max) return false;
+    return true;
+}
+
+function matchesFilters(file, summary, filters) {
+    if (filters.file !== undefined && file !== filters.file) return false;
+
+    if (filters.agents) {
+        for (const [key, range] of Object.entries(filters.agents)) {
+            if (!inRange(summary.agents[key] || 0, range)) return false;
+        }
+    }
+
+    if (filters.within) {
+        for (const [key, meters] of Object.entries(filters.within)) {
+            const d = summary.minDistanceToSdc?.[key];
+            if (d === null || d === undefined || d > meters) return false;
+        }
+    }
+
+    if (filters.sdcStoppedAtRed !== undefined && Boolean(summary.sdcStoppedAtRed) !== filters.sdcStoppedAtRed) return false;
+
+    if (filters.sdcSpeed) {
+        if (!summary.sdcSpeed || !inRange(summary.sdcSpeed.max, filters.sdcSpeed)) return false;
+    }
+
+    if (filters.minTrafficLights !== undefined && summary.trafficLights < filters.minTrafficLights) return false;
+
+    if (filters.roadTypes) {
+        const present = summary.roadgraphTypes || [];
+        if (!filters.roadTypes.every(type => present.includes(type))) return false;
+    }
+
+    return true;
+}
+
+// All matching { file, index, summary } entries, in catalog order
+function filterScenarios(scenarioIndex, files, filters) {
+    const matches = [];
+    for (const item of scenarioIndex.scenarios(files)) {
+        if (matchesFilters(item.file, item.summary, filters)) matches.push(item);
+    }
+    return matches;
+}
+
+function parsePagination(query = {}) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+    if (!Number.isInteger(page) || page < 1) throw new SearchQueryError('page must be a positive integer');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new SearchQueryError(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return { page, pageSize };
+}
+
+module.exports = {
+    SearchQueryError,
+    parseSearchQuery,
+    parsePagination,
+    hasFilters,
+    matchesFilters,
+    filterScenarios,
+    ROAD_TYPES
+};
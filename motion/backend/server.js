@@ -4,7 +4,14 @@ const path = require('path');
 const compression = require('compression');
 require('dotenv').config(); // Load environment variables
 
-const { TFRecordsStreamReader } = require('./read_data_stream');
+const { SessionStore } = require('./sessions');
+const { TFRecordsStreamReader, isTfRecordFile } = require('./read_data_stream');
+const { getScenarioId, scenarioIdMatches } = require('./record_utils');
+const { ScenarioIndex } = require('./scenario_index');
+const { encodeScenarioPayload, BINARY_MIME } = require('./binary_payload');
+const { SearchQueryError, parseSearchQuery, parsePagination, hasFilters, filterScenarios } = require('./scenario_search');
+const { FEATURE_PRESETS, FeatureSetError, parseFeatureSet } = require('./feature_sets');
+const { PredictionFormatError, isValidScenarioId, loadPredictions, listPredictions } = require('./predictions');
 
 const fs = require('fs');
 const app = express();
@@ -13,82 +20,74 @@ const PORT = process.env.PORT || 5555;
 app.use(cors());
 app.use(compression());
 
+// Decoded features are typed arrays; serialize them as plain JSON arrays
+app.set('json replacer', (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value));
+
 // Internal state
 let files = [];
-let currentFileIndex = 0;
 const DATA_DIR = path.join(__dirname, 'data');
 const SCHEMA = require('./schema.json');
 
-// Global state for reading
-let reader = null;
-let iterator = null;
-let currentTotalScenarios = 0;
-let currentScenarioIndex = 0;
+// Persistent catalog of every record in DATA_DIR, built in the background
+const scenarioIndex = new ScenarioIndex(DATA_DIR);
 
-// Session state
-let recordOffsets = [];
-let sessionRemaining = 0;
-const SESSION_LIMIT = 50;
+// Per-client reader state, keyed by the session id handed out by /init
+const sessions = new SessionStore({ getRecordOffsets });
 
 app.get('/schema', (req, res) => {
     res.json(SCHEMA);
 });
 
-async function startNewSession() {
-    // 1. Pick Random File
-    if (files.length === 0) return false;
-    currentFileIndex = Math.floor(Math.random() * files.length);
-    
-    const filename = files[currentFileIndex];
-    const fullPath = path.join(DATA_DIR, filename);
-    
-    console.log(`\n================================================================================`);
-    console.log(`>>> STARTING NEW SESSION`);
-    console.log(`>>> FILE [${currentFileIndex + 1}/${files.length}]: ${filename}`);
-    
-    if (reader) {
-        await reader.close();
-    }
-    reader = new TFRecordsStreamReader(fullPath);
+// Named feature presets clients can request with ?featureSet=
+app.get('/feature-sets', (req, res) => {
+    res.json(FEATURE_PRESETS);
+});
 
-    // 2. Index Records
-    try {
-        console.log('Indexing records...');
-        recordOffsets = await reader.indexRecords();
-        currentTotalScenarios = recordOffsets.length;
-        console.log(`Total scenarios: ${currentTotalScenarios}`);
-    } catch (e) {
-        console.error('Error indexing records:', e);
-        return false;
-    }
+// Scan DATA_DIR for TFRecord shards and refresh `files`
+async function scanDataFiles() {
+    const allFiles = await fs.promises.readdir(DATA_DIR);
+    files = allFiles.filter(isTfRecordFile);
+    return files;
+}
 
-    if (currentTotalScenarios === 0) {
-        // Empty file? Try another
-        return startNewSession();
-    }
+// Record offsets for files the catalog hasn't reached yet, so they are only scanned once.
+// filename -> { size, mtimeMs, offsets }; a shard that is replaced or grows gets rescanned.
+const recordOffsetCache = new Map();
+
+async function getRecordOffsets(filename, reader) {
+    const { size, mtimeMs } = await fs.promises.stat(path.join(DATA_DIR, filename));
+    const indexed = scenarioIndex.getOffsets(filename, { size, mtimeMs });
+    if (indexed) return indexed;
+
+    const cached = recordOffsetCache.get(filename);
+    if (cached && cached.size === size && cached.mtimeMs === mtimeMs) return cached.offsets;
+
+    const offsets = await reader.indexRecords();
+    recordOffsetCache.set(filename, { size, mtimeMs, offsets });
+    return offsets;
+}
+
+function startIndexing() {
+    scenarioIndex.build(files).catch(error => {
+        console.error('Error building scenario index:', error);
+    });
+}
 
-    // 3. Pick Random Start
-    currentScenarioIndex = Math.floor(Math.random() * currentTotalScenarios); // 0-based index
-    console.log(`>>> RANDOM START: Scenario #${currentScenarioIndex + 1} (Offset ${recordOffsets[currentScenarioIndex]})`);
-    console.log(`================================================================================\n`);
-
-    // 4. Initialize Stream
-    iterator = reader.getStream(recordOffsets[currentScenarioIndex]);
-    
-    // 5. Reset Session Counter
-    sessionRemaining = SESSION_LIMIT;
-    
-    return true;
+// Session id travels as ?session=<id> or the X-Session-Id header
+function getSessionId(req) {
+    return req.query.session || req.get('X-Session-Id');
 }
 
-// Initialize or reset the stream
+// Create a new client session. Each call gets an independent reader.
+// Search params (same as /scenarios) turn the session into a playlist of the matching scenarios.
+// ?featureSet= / ?features= choose the features the session streams.
 app.post('/init', async (req, res) => {
     try {
+        const filters = parseSearchQuery(req.query);
+        const features = parseFeatureSet(req.query);
+
         // 1. Scan directory
-        const allFiles = await fs.promises.readdir(DATA_DIR);
-        // 2. Filter 
-        files = allFiles
-            .filter(f => f.endsWith('.tfrecord') || f.includes('.tfrecord-'));
+        await scanDataFiles();
 
         if (files.length === 0) {
             throw new Error('No .tfrecord files found in data directory');
@@ -96,190 +95,287 @@ app.post('/init', async (req, res) => {
 
         console.log(`Found ${files.length} data files.`);
 
-        // 3. Start first session
-        await startNewSession();
+        // Pick up new or changed files in the catalog (no rebuild when nothing changed)
+        startIndexing();
 
-        console.log('Stream initialized (Random Mode)');
-        res.json({ success: true, message: 'Stream initialized', fileCount: files.length });
+        // 2. Start session on a random file, or on the filtered playlist
+        let playlist = null;
+        if (hasFilters(filters)) {
+            playlist = filterScenarios(scenarioIndex, files, filters).map(({ file, index }) => ({ file, index }));
+            if (playlist.length === 0) {
+                return res.status(404).json({ error: 'No indexed scenarios match the filter', indexStatus: scenarioIndex.status });
+            }
+        }
+        const session = await sessions.create(DATA_DIR, files, playlist, { features });
+
+        console.log(`Stream initialized (${playlist ? `Playlist Mode, ${playlist.length} scenarios` : 'Random Mode'})`);
+        res.json({
+            success: true,
+            message: 'Stream initialized',
+            fileCount: files.length,
+            sessionId: session.id,
+            playlistSize: playlist ? playlist.length : null,
+            featureCount: features.length
+        });
     } catch (error) {
+        if (error instanceof SearchQueryError || error instanceof FeatureSetError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error initializing stream:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get next record
+// Get next record for a session
 app.get('/next', async (req, res) => {
-    if (!iterator) {
-        return res.status(400).json({ error: 'Stream not initialized. Call /init first.' });
+    const sessionId = getSessionId(req);
+    if (!sessionId) {
+        return res.status(400).json({ error: 'Missing session id. Call /init first.' });
+    }
+    const session = sessions.get(sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Unknown or expired session. Call /init again.' });
     }
 
     try {
-        // Check session limit
-        if (sessionRemaining <= 0) {
-            console.log('Session limit reached. Switching to new file...');
-            await startNewSession();
+        // A request can override the feature set chosen at /init
+        const features = parseFeatureSet(req.query, session.features);
+        const { record, fileInfo, scenarioInfo } = await session.next();
+
+        // Prune Data before sending
+        const prunedRecord = pruneData(record, features);
+
+        sendScenario(req, res, { 
+            done: false, 
+            record: prunedRecord,
+            fileInfo,
+            scenarioInfo
+        });
+    } catch (error) {
+        if (error instanceof FeatureSetError) {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('Error reading next record:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        let result = await iterator.next();
-        
-        // Handle EOF (Wrap around for the remainder of the session)
-        if (result.done) {
-            console.log('EOF reached within session. Wrapping around to start of file...');
-            currentScenarioIndex = 0; // Reset index to 0
-            iterator = reader.getStream(recordOffsets[0]); // Stream from 0
-            result = await iterator.next();
+// Explicitly end a session (e.g. tab closed)
+app.delete('/session/:id', async (req, res) => {
+    const closed = await sessions.delete(req.params.id);
+    if (!closed) {
+        return res.status(404).json({ error: 'Unknown or expired session' });
+    }
+    res.json({ success: true });
+});
+
+// Progress of the background catalog build
+app.get('/index/status', (req, res) => {
+    res.json(scenarioIndex.status);
+});
+
+// Search the catalog. Only scenarios in already-indexed files are considered.
+app.get('/scenarios', async (req, res) => {
+    try {
+        const filters = parseSearchQuery(req.query);
+        const { page, pageSize } = parsePagination(req.query);
+        if (files.length === 0) await scanDataFiles();
+
+        const matches = filterScenarios(scenarioIndex, files, filters);
+        const start = (page - 1) * pageSize;
+
+        res.json({
+            total: matches.length,
+            page,
+            pageSize,
+            results: matches.slice(start, start + pageSize).map(({ file, index, summary }) => {
+                // Offsets are an implementation detail of the catalog
+                const { offset, ...rest } = summary;
+                return { file, index, ...rest };
+            }),
+            indexStatus: scenarioIndex.status
+        });
+    } catch (error) {
+        if (error instanceof SearchQueryError) {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('Error searching scenarios:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (result.done) {
-            // If still done after wrap (empty file?), force new session
-             await startNewSession();
-             result = await iterator.next();
+// Direct access: scenario by its scenario/id
+app.get('/scenario/by-id/:scenarioId', async (req, res) => {
+    const wanted = req.params.scenarioId;
+
+    try {
+        const features = parseFeatureSet(req.query);
+        if (files.length === 0) await scanDataFiles();
+
+        // Fast path: the catalog knows where it lives
+        const hit = scenarioIndex.findById(wanted);
+        if (hit && files.includes(hit.file)) {
+            const payload = await readScenario(hit.file, hit.index, features);
+            if (payload) return sendScenario(req, res, payload);
         }
 
-        // Increment logic
-        currentScenarioIndex++;
-        // If we just played the last one (index became total), next read will trigger EOF logic above, 
-        // but for display, we wrap index display if needed logic is complicated.
-        // Actually simplest is: `currentScenarioIndex` tracks the one we JUST read? 
-        // Logic above: `currentScenarioIndex` was set to start. We read `next()`. So that IS `currentScenarioIndex`.
-        // So we should increment AFTER using it? Or 0-based...
-        // Let's rely on standard logic: 
-        // We set `currentScenarioIndex` to `start`.
-        // We read. That record corresponds to `currentScenarioIndex`.
-        // Then we increment for next time.
-        // BUT if we wrapped, we set `currentScenarioIndex` to 0.
-        
-        // Let's refine wrap logic slightly to keep index sync:
-        // (already done above: set to 0 before getting stream)
-
-        sessionRemaining--;
-        // display index is currentScenarioIndex passed in header? 
-        // or just local variable.
-        // let's just send the index of the record we just returned.
-        // If we read `next()`, it matches `currentScenarioIndex` (which is valid).
-        // Then we wrap `currentScenarioIndex` for the NEXT call.
-        
-        const displayIndex = currentScenarioIndex; // 0-based
-        if (currentScenarioIndex + 1 >= currentTotalScenarios) {
-             // Next one will be 0 (if we continue in this file)
-             // But actually EOF logic handles it on next call.
-             // We can just mod it here if we want to be safe? 
-             // Just let the next call handle EOF.
+        // Catalog still building: fall back to a linear scan over every record of every file
+        if (!scenarioIndex.isReady()) {
+            for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+                const filename = files[fileIndex];
+                const reader = new TFRecordsStreamReader(path.join(DATA_DIR, filename));
+                try {
+                    const offsets = await getRecordOffsets(filename, reader);
+                    let index = 0;
+                    for await (const record of reader.getStream(0)) {
+                        if (scenarioIdMatches(getScenarioId(record), wanted)) {
+                            return sendScenario(req, res, buildScenarioResponse(record, fileIndex, index, offsets.length, features));
+                        }
+                        index++;
+                    }
+                } finally {
+                    await reader.close();
+                }
+            }
         }
-        
-        // Prepare for NEXT call:
-        // Wait, if we just read index 197 (last one), next call hits EOF.
-        // So we don't increment here if we want to rely on EOF?
-        // Actually, if we just read 197, we should say we are at 197.
-        // Next time we try to read, we hit EOF, wrap to 0.
-        
-        console.log(`Streaming Scenario ${displayIndex + 1}/${currentTotalScenarios} (Session Rem: ${sessionRemaining})`);
 
-        // Prune Data before sending
-        const prunedRecord = pruneData(result.value);
+        res.status(404).json({ error: `Scenario ${wanted} not found` });
+    } catch (error) {
+        if (error instanceof FeatureSetError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error looking up scenario by id:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        res.json({ 
-            done: false, 
-            record: prunedRecord,
-            fileInfo: {
-                index: currentFileIndex + 1,
-                total: files.length,
-                name: files[currentFileIndex]
-            },
-            scenarioInfo: {
-                index: displayIndex + 1,
-                total: currentTotalScenarios
-            }
-        });
-        
-        // Advance index for next time (unless we hit EOF next time)
-        // Ideally we shouldn't manually manage this if stream is opaque, but we have offsets!
-        // We know where we are.
-        // But simply ++ is enough for visual.
-        currentScenarioIndex = (currentScenarioIndex + 1) % currentTotalScenarios; 
-        
+// Direct access: scenario by file name + 0-based record index
+app.get('/scenario/:file/:index', async (req, res) => {
+    const { file } = req.params;
+    const index = Number(req.params.index);
+
+    try {
+        const features = parseFeatureSet(req.query);
+        if (files.length === 0) await scanDataFiles();
+
+        // Only serve files we discovered in DATA_DIR (also rules out path traversal)
+        const fileIndex = files.indexOf(file);
+        if (fileIndex === -1) {
+            return res.status(404).json({ error: `Unknown file: ${file}` });
+        }
+        if (!Number.isInteger(index) || index < 0) {
+            return res.status(400).json({ error: `Invalid record index: ${req.params.index}` });
+        }
+
+        const payload = await readScenario(file, index, features);
+        if (!payload) {
+            return res.status(404).json({ error: `Record index ${index} out of range` });
+        }
+        sendScenario(req, res, payload);
     } catch (error) {
-        console.error('Error reading next record:', error);
+        if (error instanceof FeatureSetError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error reading scenario:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Whitelist of features we actually use in Frontend
-const FEATURE_WHITELIST = new Set([
-    'scenario/id',
-    // RoadGraph
-    'roadgraph_samples/xyz', 'roadgraph_samples/id', 'roadgraph_samples/type', 'roadgraph_samples/valid', 'roadgraph_samples/dir',
-    // Traffic Lights
-    'traffic_light_state/current/id', 'traffic_light_state/current/state', 'traffic_light_state/current/x', 'traffic_light_state/current/y', 'traffic_light_state/current/z', 'traffic_light_state/current/valid',
-    'traffic_light_state/past/state', 'traffic_light_state/past/x', 'traffic_light_state/past/y', 'traffic_light_state/past/z', 'traffic_light_state/past/valid',
-    'traffic_light_state/future/state', 'traffic_light_state/future/x', 'traffic_light_state/future/y', 'traffic_light_state/future/z', 'traffic_light_state/future/valid',
-    // Agents / State
-    'state/id', 'state/type', 'state/is_sdc',
-    'state/current/x', 'state/current/y', 'state/current/z', 'state/current/bbox_yaw', 'state/current/velocity_x', 'state/current/velocity_y',
-    'state/current/length', 'state/current/width', 'state/current/height', 'state/current/valid',
-    'state/past/x', 'state/past/y', 'state/past/z', 'state/past/bbox_yaw', 'state/past/velocity_x', 'state/past/velocity_y', 'state/past/valid',
-    'state/future/x', 'state/future/y', 'state/future/z', 'state/future/bbox_yaw', 'state/future/velocity_x', 'state/future/velocity_y', 'state/future/valid',
-    // Path Samples (if used) - currently referenced in PathSamples.jsx
-    'path_samples/xyz', 'path_samples/id', 'path_samples/valid'
-]);
-
-// Convert Set to Array for iteration
-const FEATURE_WHITELIST_ARRAY = Array.from(FEATURE_WHITELIST);
-
-function pruneData(record) {
-    if (!record || !record.context || !record.context.featureMap) return record;
-
-    const originalMap = record.context.featureMap;
-    const prunedMap = {};
-    let foundAny = false;
+// Scenario ids that have model predictions (see predictions.js for the file format)
+app.get('/predictions', async (req, res) => {
+    try {
+        res.json({ scenarioIds: await listPredictions() });
+    } catch (error) {
+        console.error('Error listing predictions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-    // Detect Input Type and Iterate
-    if (Array.isArray(originalMap)) {
-        // Optimized loop with early exit if we found all features (heuristic: count > size?)
-        // Actually, we don't know how many unique features are in originalMap that match whitelist.
-        // But we can iterate.
-        const len = originalMap.length;
-        for (let i = 0; i < len; i++) {
-            const entry = originalMap[i];
-            let k, v;
-            if (Array.isArray(entry)) {
-                 k = entry[0]; v = entry[1];
-            } else if (entry && typeof entry === 'object') {
-                 // MapEntry usually has 'key' and 'value' fields
-                 k = entry.key;
-                 v = entry.value;
-            }
-            
-            if (k && FEATURE_WHITELIST.has(k)) {
-                prunedMap[k] = v;
-                foundAny = true;
-            }
+// Model predictions for one scenario
+app.get('/predictions/:scenarioId', async (req, res) => {
+    const { scenarioId } = req.params;
+    if (!isValidScenarioId(scenarioId)) {
+        return res.status(400).json({ error: `Invalid scenario id: ${scenarioId}` });
+    }
+
+    try {
+        const predictions = await loadPredictions(scenarioId);
+        if (!predictions) {
+            return res.status(404).json({ error: `No predictions for scenario ${scenarioId}` });
         }
-    } else if (originalMap instanceof Map) {
-        for (let [k, v] of originalMap) {
-            if (FEATURE_WHITELIST.has(k)) {
-                prunedMap[k] = v;
-                foundAny = true;
-            }
+        res.json(predictions);
+    } catch (error) {
+        if (error instanceof PredictionFormatError) {
+            // The file on disk is broken, not the request
+            return res.status(500).json({ error: `Invalid predictions file for ${scenarioId}: ${error.message}` });
         }
+        console.error('Error reading predictions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reads one record by file + index into a /next-shaped payload, or null if the index is out of range
+async function readScenario(filename, recordIndex, features) {
+    const reader = new TFRecordsStreamReader(path.join(DATA_DIR, filename));
+    try {
+        const offsets = await getRecordOffsets(filename, reader);
+        if (recordIndex >= offsets.length) return null;
+
+        const record = await reader.readRecordAt(offsets[recordIndex]);
+        return buildScenarioResponse(record, files.indexOf(filename), recordIndex, offsets.length, features);
+    } finally {
+        await reader.close();
+    }
+}
+
+// Sends a scenario payload as binary when the client asks for it (Accept), JSON otherwise
+function sendScenario(req, res, payload) {
+    res.vary('Accept');
+    if (req.accepts(['application/json', BINARY_MIME]) === BINARY_MIME) {
+        res.type(BINARY_MIME).send(encodeScenarioPayload(payload));
     } else {
-        // Plain Object - Optimized Iteration
-        // Instead of Object.keys(originalMap) which is O(N) where N is all keys,
-        // we iterate the whitelist O(M) where M is whitelist size.
-        // Assuming N >> M.
-        for (let i = 0; i < FEATURE_WHITELIST_ARRAY.length; i++) {
-             const k = FEATURE_WHITELIST_ARRAY[i];
-             // We use Object.prototype.hasOwnProperty because originalMap might be created with null prototype or have shadowed props
-             if (Object.prototype.hasOwnProperty.call(originalMap, k)) {
-                 prunedMap[k] = originalMap[k];
-                 foundAny = true;
-             }
+        res.json(payload);
+    }
+}
+
+// Same payload shape as /next
+function buildScenarioResponse(record, fileIndex, recordIndex, totalRecords, features) {
+    return {
+        done: false,
+        record: pruneData(record, features),
+        fileInfo: {
+            index: fileIndex + 1,
+            total: files.length,
+            name: files[fileIndex]
+        },
+        scenarioInfo: {
+            index: recordIndex + 1,
+            total: totalRecords
+        }
+    };
+}
+
+// Keeps only the requested features (see feature_sets.js). Values stay typed arrays; they are
+// turned into plain JSON arrays by the json replacer above.
+function pruneData(record, features = FEATURE_PRESETS.default) {
+    if (!record || !record.features) return record;
+
+    const originalFeatures = record.features;
+    const prunedFeatures = {};
+    let foundAny = false;
+
+    // Iterate the requested list O(M) rather than every feature in the record
+    for (let i = 0; i < features.length; i++) {
+        const k = features[i];
+        if (Object.prototype.hasOwnProperty.call(originalFeatures, k)) {
+            prunedFeatures[k] = originalFeatures[k];
+            foundAny = true;
         }
     }
 
     if (!foundAny) {
-        // Only warn if map was not empty but we found nothing
-        const len = Array.isArray(originalMap) ? originalMap.length : (originalMap instanceof Map ? originalMap.size : Object.keys(originalMap).length);
+        // Only warn if the record was not empty but we found nothing
+        const len = Object.keys(originalFeatures).length;
         if (len > 0) {
              console.warn('Prune: WARNING - No keys matched whitelist! (Input len: ' + len + ')');
         }
@@ -287,20 +383,21 @@ function pruneData(record) {
 
     return {
         ...record,
-        context: {
-            ...record.context,
-            featureMap: prunedMap
-        }
+        features: prunedFeatures
     };
 }
 
-
 // Cleanup on exit
 process.on('SIGINT', async () => {
-    if (reader) await reader.close();
+    await sessions.closeAll();
     process.exit();
 });
 
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
+
+    // Build the catalog in the background; requests keep working while it runs
+    scanDataFiles()
+        .then(startIndexing)
+        .catch(error => console.error('Error scanning data directory:', error));
 });
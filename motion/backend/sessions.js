@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const { TFRecordsStreamReader } = require('./read_data_stream');
+
+// How many scenarios a session streams from one file before hopping to another random file
+const SCENARIOS_PER_FILE = 50;
+// Sessions not touched for this long are closed and forgotten
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS) || 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// 0..count-1 in random order (Fisher-Yates)
+function shuffledIndices(count) {
+    const indices = Array.from({ length: count }, (_, i) => i);
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices;
+}
+
+// One browsing client (browser tab). Owns its own file handle and stream position
+// so clients never steal scenarios from each other.
+// With a `playlist` ([{ file, index }]) it plays those scenarios in order instead of random picks.
+// `features` is the feature list chosen at /init (null = server default).
+class ScenarioSession {
+    constructor(id, dataDir, files, getRecordOffsets, playlist = null, { features = null } = {}) {
+        this.id = id;
+        this.dataDir = dataDir;
+        this.files = files;
+        this.getRecordOffsets = getRecordOffsets;
+        this.playlist = playlist;
+        this.features = features;
+        this.playlistPosition = 0;
+        this.lastAccess = Date.now();
+
+        this.reader = null;
+        this.iterator = null;
+        this.currentFileIndex = 0;
+        this.recordOffsets = [];
+        this.currentTotalScenarios = 0;
+        this.currentScenarioIndex = 0;
+        this.fileRemaining = 0;
+
+        // Serializes reads so two concurrent /next calls on one session don't interleave the iterator
+        this.queue = Promise.resolve();
+    }
+
+    touch() {
+        this.lastAccess = Date.now();
+    }
+
+    // Opens a random file with at least one scenario. Each file is tried at most once, so a bad
+    // file can't crowd out readable ones; returns false if none works.
+    async startNewFile() {
+        // 1. Pick Random File
+        for (const fileIndex of shuffledIndices(this.files.length)) {
+            if (await this.openFile(fileIndex)) return true;
+        }
+        return false;
+    }
+
+    async openFile(fileIndex) {
+        this.currentFileIndex = fileIndex;
+
+        const filename = this.files[this.currentFileIndex];
+        const fullPath = path.join(this.dataDir, filename);
+
+        console.log(`\n================================================================================`);
+        console.log(`>>> [${this.id}] STARTING NEW FILE`);
+        console.log(`>>> FILE [${this.currentFileIndex + 1}/${this.files.length}]: ${filename}`);
+
+        if (this.reader) {
+            await this.reader.close();
+        }
+        this.reader = new TFRecordsStreamReader(fullPath);
+
+        // 2. Index Records
+        try {
+            console.log('Indexing records...');
+            this.recordOffsets = await this.getRecordOffsets(filename, this.reader);
+            this.currentTotalScenarios = this.recordOffsets.length;
+            console.log(`Total scenarios: ${this.currentTotalScenarios}`);
+        } catch (e) {
+            console.error('Error indexing records:', e);
+            return false;
+        }
+
+        if (this.currentTotalScenarios === 0) {
+            // Empty file? The caller moves on to another
+            return false;
+        }
+
+        // 3. Pick Random Start
+        this.currentScenarioIndex = Math.floor(Math.random() * this.currentTotalScenarios); // 0-based index
+        console.log(`>>> RANDOM START: Scenario #${this.currentScenarioIndex + 1} (Offset ${this.recordOffsets[this.currentScenarioIndex]})`);
+        console.log(`================================================================================\n`);
+
+        // 4. Initialize Stream
+        this.iterator = this.reader.getStream(this.recordOffsets[this.currentScenarioIndex]);
+
+        // 5. Reset File Counter
+        this.fileRemaining = SCENARIOS_PER_FILE;
+
+        return true;
+    }
+
+    // startNewFile() for an open session. Throws if no file can be opened, rather than carrying on
+    // with the previous reader's iterator.
+    async switchFile() {
+        if (!(await this.startNewFile())) {
+            this.iterator = null;
+            throw new Error('No readable data files: could not open another scenario file');
+        }
+    }
+
+    // Reads the next scenario. Resolves to { record, fileInfo, scenarioInfo }.
+    next() {
+        const run = this.queue.then(() => this.readNext());
+        // Keep the chain alive even if this read fails
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async readNext() {
+        if (this.playlist) return this.readPlaylistItem();
+
+        if (!this.iterator) {
+            throw new Error('Session has no open stream');
+        }
+
+        // Check per-file limit
+        if (this.fileRemaining <= 0) {
+            console.log(`[${this.id}] File limit reached. Switching to new file...`);
+            await this.switchFile();
+        }
+
+        let result = await this.iterator.next();
+
+        // Handle EOF (Wrap around for the remainder of this file's quota)
+        if (result.done) {
+            console.log(`[${this.id}] EOF reached. Wrapping around to start of file...`);
+            this.currentScenarioIndex = 0;
+            this.iterator = this.reader.getStream(this.recordOffsets[0]);
+            result = await this.iterator.next();
+        }
+
+        if (result.done) {
+            // If still done after wrap (empty file?), force new file
+            await this.switchFile();
+            result = await this.iterator.next();
+        }
+
+        this.fileRemaining--;
+
+        // The record we just read is `currentScenarioIndex`; advance for the next call afterwards
+        const displayIndex = this.currentScenarioIndex; // 0-based
+        console.log(`[${this.id}] Streaming Scenario ${displayIndex + 1}/${this.currentTotalScenarios} (File Rem: ${this.fileRemaining})`);
+        this.currentScenarioIndex = (this.currentScenarioIndex + 1) % this.currentTotalScenarios;
+
+        return {
+            record: result.value,
+            fileInfo: {
+                index: this.currentFileIndex + 1,
+                total: this.files.length,
+                name: this.files[this.currentFileIndex]
+            },
+            scenarioInfo: {
+                index: displayIndex + 1,
+                total: this.currentTotalScenarios
+            }
+        };
+    }
+
+    async readPlaylistItem() {
+        if (this.playlist.length === 0) {
+            throw new Error('Playlist is empty');
+        }
+
+        const position = this.playlistPosition;
+        const { file, index } = this.playlist[position];
+
+        // Keep the reader open while consecutive items come from the same file
+        if (!this.reader || this.files[this.currentFileIndex] !== file) {
+            if (this.reader) await this.reader.close();
+            this.currentFileIndex = this.files.indexOf(file);
+            this.reader = new TFRecordsStreamReader(path.join(this.dataDir, file));
+        }
+
+        const offsets = await this.getRecordOffsets(file, this.reader);
+        if (index >= offsets.length) {
+            // The playlist came from a catalog entry that predates the file shrinking or being rewritten
+            console.warn(`[${this.id}] Dropping playlist item ${file} #${index + 1}: the file now holds ${offsets.length} scenarios`);
+            this.playlist.splice(position, 1);
+            if (this.playlist.length === 0) {
+                throw new Error('Playlist is empty: its scenarios are no longer in the data files');
+            }
+            this.playlistPosition = position % this.playlist.length;
+            return this.readPlaylistItem();
+        }
+
+        // Wrap around at the end of the playlist
+        this.playlistPosition = (position + 1) % this.playlist.length;
+        const record = await this.reader.readRecordAt(offsets[index]);
+
+        console.log(`[${this.id}] Streaming Playlist Item ${position + 1}/${this.playlist.length} (${file} #${index + 1})`);
+
+        return {
+            record,
+            fileInfo: {
+                index: this.currentFileIndex + 1,
+                total: this.files.length,
+                name: file
+            },
+            scenarioInfo: {
+                index: position + 1,
+                total: this.playlist.length
+            }
+        };
+    }
+
+    async close() {
+        if (this.reader) {
+            await this.reader.close();
+            this.reader = null;
+        }
+        this.iterator = null;
+    }
+}
+
+// Registry of live sessions with idle expiry.
+// `getRecordOffsets(filename, reader)` lets the server supply cached offsets instead of rescanning each file.
+class SessionStore {
+    constructor({ idleTimeoutMs = SESSION_IDLE_TIMEOUT_MS, getRecordOffsets = (filename, reader) => reader.indexRecords() } = {}) {
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.getRecordOffsets = getRecordOffsets;
+        this.sessions = new Map();
+
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        // Don't keep the process alive just for the sweeper
+        this.sweepTimer.unref();
+    }
+
+    async create(dataDir, files, playlist = null, options = {}) {
+        const id = crypto.randomUUID();
+        const session = new ScenarioSession(id, dataDir, files, this.getRecordOffsets, playlist, options);
+        const started = playlist ? playlist.length > 0 : await session.startNewFile();
+        if (!started) {
+            await session.close();
+            throw new Error('Could not open any scenario file');
+        }
+        this.sessions.set(id, session);
+        console.log(`Session ${id} created (${this.sessions.size} active)`);
+        return session;
+    }
+
+    // Returns the session and refreshes its idle timer, or null if unknown/expired
+    get(id) {
+        if (!id) return null;
+        const session = this.sessions.get(id);
+        if (!session) return null;
+        session.touch();
+        return session;
+    }
+
+    async delete(id) {
+        const session = this.sessions.get(id);
+        if (!session) return false;
+        this.sessions.delete(id);
+        await session.close();
+        console.log(`Session ${id} closed (${this.sessions.size} active)`);
+        return true;
+    }
+
+    async sweep() {
+        const now = Date.now();
+        for (const [id, session] of this.sessions) {
+            if (now - session.lastAccess > this.idleTimeoutMs) {
+                console.log(`Session ${id} idle for ${Math.round((now - session.lastAccess) / 1000)}s, expiring`);
+                await this.delete(id);
+            }
+        }
+    }
+
+    async closeAll() {
+        clearInterval(this.sweepTimer);
+        for (const id of Array.from(this.sessions.keys())) {
+            await this.delete(id);
+        }
+    }
+}
+
+module.exports = { ScenarioSession, SessionStore, SCENARIOS_PER_FILE, SESSION_IDLE_TIMEOUT_MS };
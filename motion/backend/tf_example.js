@@ -0,0 +1,175 @@
+// Minimal protobuf decoder for tf.Example records.
+//
+//   Example  { Features features = 1; }
+//   Features { map<string, Feature> feature = 1; }
+//   Feature  { oneof { BytesList bytes_list = 1; FloatList float_list = 2; Int64List int64_list = 3; } }
+//
+// Decodes straight into { [featureName]: values }, where float lists become Float32Array,
+// int64 lists Float64Array (exact up to 2^53, plenty for ids and timestamps) and bytes lists
+// arrays of UTF-8 strings.
+
+const { Reader, WIRE_VARINT, WIRE_LEN, WIRE_FIXED32 } = require('./protobuf');
+
+// Feature kinds as named in schema.json
+const KIND_BY_FIELD = { 1: 'bytesList', 2: 'floatList', 3: 'int64List' };
+
+class TFExampleDecodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TFExampleDecodeError';
+    }
+}
+
+function decodeFloatList(r) {
+    // Usually one packed run, but repeated/unpacked encodings are legal too
+    const chunks = [];
+    let total = 0;
+    while (!r.done()) {
+        const tag = r.varint();
+        if (tag >>> 3 !== 1) {
+            r.skip(tag & 7);
+            continue;
+        }
+        if ((tag & 7) === WIRE_LEN) {
+            const packed = r.sub();
+            chunks.push(packed);
+            total += (packed.end - packed.pos) >> 2;
+        } else if ((tag & 7) === WIRE_FIXED32) {
+            chunks.push(new Reader(r.buf, r.pos, r.pos + 4));
+            r.pos += 4;
+            total += 1;
+        } else {
+            r.skip(tag & 7);
+        }
+    }
+
+    const out = new Float32Array(total);
+    let i = 0;
+    for (const chunk of chunks) {
+        for (let p = chunk.pos; p + 4 <= chunk.end; p += 4) out[i++] = r.buf.readFloatLE(p);
+    }
+    return out;
+}
+
+function decodeInt64List(r) {
+    const values = [];
+    while (!r.done()) {
+        const tag = r.varint();
+        if (tag >>> 3 !== 1) {
+            r.skip(tag & 7);
+            continue;
+        }
+        if ((tag & 7) === WIRE_LEN) {
+            const packed = r.sub();
+            while (!packed.done()) values.push(packed.varint());
+        } else if ((tag & 7) === WIRE_VARINT) {
+            values.push(r.varint());
+        } else {
+            r.skip(tag & 7);
+        }
+    }
+    return Float64Array.from(values);
+}
+
+function decodeBytesList(r) {
+    const values = [];
+    while (!r.done()) {
+        const tag = r.varint();
+        if (tag >>> 3 === 1 && (tag & 7) === WIRE_LEN) {
+            const bytes = r.sub();
+            values.push(r.buf.toString('utf8', bytes.pos, bytes.end));
+        } else {
+            r.skip(tag & 7);
+        }
+    }
+    return values;
+}
+
+// Returns { kind, values } for one Feature message
+function decodeFeature(r) {
+    let result = { kind: null, values: [] };
+    while (!r.done()) {
+        const tag = r.varint();
+        const field = tag >>> 3;
+        if ((tag & 7) !== WIRE_LEN || !KIND_BY_FIELD[field]) {
+            r.skip(tag & 7);
+            continue;
+        }
+        const list = r.sub();
+        if (field === 1) result = { kind: 'bytesList', values: decodeBytesList(list) };
+        else if (field === 2) result = { kind: 'floatList', values: decodeFloatList(list) };
+        else result = { kind: 'int64List', values: decodeInt64List(list) };
+    }
+    return result;
+}
+
+// Decodes a serialized tf.Example. Returns { features: { name: values }, kinds: { name: kind } }.
+function decodeExample(buf) {
+    const features = {};
+    const kinds = {};
+
+    const example = new Reader(buf);
+    while (!example.done()) {
+        const tag = example.varint();
+        if (tag !== ((1 << 3) | WIRE_LEN)) {
+            example.skip(tag & 7);
+            continue;
+        }
+
+        const featureMap = example.sub();
+        while (!featureMap.done()) {
+            const entryTag = featureMap.varint();
+            if (entryTag !== ((1 << 3) | WIRE_LEN)) {
+                featureMap.skip(entryTag & 7);
+                continue;
+            }
+
+            // map<string, Feature> entry: key = 1, value = 2
+            const entry = featureMap.sub();
+            let name = null;
+            let feature = { kind: null, values: [] };
+            while (!entry.done()) {
+                const t = entry.varint();
+                if (t === ((1 << 3) | WIRE_LEN)) {
+                    const key = entry.sub();
+                    name = buf.toString('utf8', key.pos, key.end);
+                } else if (t === ((2 << 3) | WIRE_LEN)) {
+                    feature = decodeFeature(entry.sub());
+                } else {
+                    entry.skip(t & 7);
+                }
+            }
+
+            if (name !== null) {
+                features[name] = feature.values;
+                kinds[name] = feature.kind;
+            }
+        }
+    }
+
+    return { features, kinds };
+}
+
+// Checks decoded feature kinds against schema.json ({ context: { name: kind } }).
+// A kind mismatch means the file isn't the format we expect, so it throws; features
+// missing from the schema are only reported once each.
+const reportedUnknown = new Set();
+
+function validateFeatures(kinds, schema) {
+    const expected = schema.context || {};
+    for (const [name, kind] of Object.entries(kinds)) {
+        if (!Object.prototype.hasOwnProperty.call(expected, name)) {
+            if (!reportedUnknown.has(name)) {
+                reportedUnknown.add(name);
+                console.warn(`tf.Example: feature ${name} (${kind}) is not in schema.json`);
+            }
+            continue;
+        }
+        // Empty features decode without a list kind; nothing to compare
+        if (kind && kind !== expected[name]) {
+            throw new TFExampleDecodeError(`feature ${name} is ${kind} but schema.json says ${expected[name]}`);
+        }
+    }
+}
+
+module.exports = { decodeExample, validateFeatures, TFExampleDecodeError };
@@ -1,9 +1,13 @@
 import React, { useEffect } from 'react';
 import { Scene } from './Scene';
 import { useRecordBuffer } from './hooks/useRecordBuffer';
+import { usePredictions } from './hooks/usePredictions';
+
+const BACKEND_URL = 'http://localhost:5555';
 
 function App() {
-  const { data, fileInfo, scenarioInfo, isConnected, playNext, bufferSize } = useRecordBuffer('http://localhost:5555');
+  const { data, fileInfo, scenarioInfo, isConnected, error, playNext, bufferSize } = useRecordBuffer(BACKEND_URL, 5, window.location.search);
+  const predictions = usePredictions(BACKEND_URL, data?.scenarioId);
 
   // No auto-play of records. User advances manually.
   
@@ -16,10 +20,15 @@ function App() {
 
   return (
     <div style={{ width: '100vw', height: '100vh', position: 'relative' }}>
-      <Scene data={data} fileInfo={fileInfo} scenarioInfo={scenarioInfo} onFinished={() => {
+      <Scene data={data} predictions={predictions} fileInfo={fileInfo} scenarioInfo={scenarioInfo} onFinished={() => {
         console.log('Scenario finished, loading next...');
         playNext();
-      }} />
+      }} onNext={playNext} />
+      {error && (
+        <div style={{ position: 'absolute', bottom: 16, left: '50%', transform: 'translateX(-50%)', padding: '8px 12px', background: 'rgba(180, 30, 30, 0.85)', color: 'white', fontFamily: 'monospace', borderRadius: 4 }}>
+          {error.message}
+        </div>
+      )}
     </div>
   );
 }
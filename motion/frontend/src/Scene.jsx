@@ -1,5 +1,17 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
+import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import { ENVS } from "./constants/environments";
+import { pickSceneStyle } from "./utils/sceneStyle";
+import { parsePredictions } from "./utils/parsers";
+import { computePredictionMetrics } from "./utils/metrics";
+import { TOTAL_FRAMES, FRAMES_PER_SECOND } from "./constants/timeline";
+import { childVisibility } from "./constants/layers";
+import { agentTypeName } from "./constants/agents";
+import { FREE_MODE, modeParams, sanitizeCameraSetting } from "./constants/cameraModes";
+import { COLOR_MODES, findColorMode } from "./constants/colorModes";
+import { SHORTCUTS } from "./constants/shortcuts";
+import { useKeyboardShortcuts } from "./hooks/useKeyboardShortcuts";
+import { useLayerVisibility } from "./hooks/useLayerVisibility";
+import { useCameraBookmarks } from "./hooks/useCameraBookmarks";
 import { EnvironmentPreloader } from "./components/EnvironmentPreloader";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Environment, ContactShadows } from "@react-three/drei";
@@ -10,34 +22,57 @@ import { CameraRig } from "./components/CameraRig";
 import { TrafficLights } from "./components/TrafficLights";
 import { PathSamples } from "./components/PathSamples";
 import { SdcPathHighlight } from "./components/SdcPathHighlight";
+import { TransportBar } from "./components/TransportBar";
+import { ShortcutHelp } from "./components/ShortcutHelp";
+import { LayerPanel } from "./components/LayerPanel";
+import { PredictionOverlay } from "./components/PredictionOverlay";
+import { AgentInspector } from "./components/AgentInspector";
+import { CameraPanel } from "./components/CameraPanel";
+import { MetricsPanel } from "./components/MetricsPanel";
+import { ColorLegend } from "./components/ColorLegend";
 
 import { Rain } from "./components/Rain";
 import { Snow } from "./components/Snow";
 import { Dust } from "./components/Dust";
 import { Lightning } from "./components/Lightning";
 
-// Total frames: 10 past + 1 current + 80 future = 91
-const TOTAL_FRAMES = 91;
+// Manual camera shared through ?cameraBookmark=<JSON setting>, if the link carries one
+const cameraSettingFromUrl = () => {
+  const param = new URLSearchParams(window.location.search).get("cameraBookmark");
+  if (!param) return null;
+  try {
+    return sanitizeCameraSetting(JSON.parse(param));
+  } catch {
+    console.warn("Ignoring malformed cameraBookmark URL parameter");
+    return null;
+  }
+};
+
+// Agent color mode from ?colorMode=<id>, else by type
+const colorModeFromUrl = () => findColorMode(new URLSearchParams(window.location.search).get("colorMode")).id;
 
 // Animation Loop Component extracted to avoid re-creation on every render
-const AnimationLoop = ({ frameRef, isPlaying, setIsPlaying, onFinished, sdcSpeeds, frameUiRef, speedUiRef }) => {
+const AnimationLoop = ({ frameRef, isPlaying, setIsPlaying, playbackRate, loop, onFinished, sdcSpeeds, frameUiRef, speedUiRef }) => {
   // Render Counter Ref
   const renderCounter = useRef(0);
 
   useFrame((state, delta) => {
-    if (!isPlaying) return;
+    if (isPlaying) {
+      // Advance frame (data is sampled at 10 Hz, so 1x is real time)
+      frameRef.current += delta * FRAMES_PER_SECOND * playbackRate;
 
-    // Advance frame
-    const speed = 10;
-    frameRef.current += delta * speed;
-
-    if (frameRef.current >= TOTAL_FRAMES) {
-      // Loop or Finish
-      if (onFinished) {
-        onFinished();
-        setIsPlaying(false); // Stop until reset
+      if (frameRef.current >= TOTAL_FRAMES) {
+        if (loop) {
+          frameRef.current = 0;
+        } else {
+          // Finish
+          if (onFinished) {
+            onFinished();
+            setIsPlaying(false); // Stop until reset
+          }
+          frameRef.current = TOTAL_FRAMES - 1;
+        }
       }
-      frameRef.current = TOTAL_FRAMES - 1;
     }
 
     // Imperative UI Updates - Throttled
@@ -50,18 +85,16 @@ const AnimationLoop = ({ frameRef, isPlaying, setIsPlaying, onFinished, sdcSpeed
         frameUiRef.current.innerText = `Frame: ${currentFrameInt} / ${TOTAL_FRAMES}`;
       }
       if (speedUiRef.current) {
-        const spd =
-          sdcSpeeds && sdcSpeeds[currentFrameInt] !== undefined
-            ? sdcSpeeds[currentFrameInt]
-            : 0;
-        speedUiRef.current.innerText = `Speed: ${spd.toFixed(2)} m/s`;
+        // null (SDC not observed at this step) or past the end shows a dash
+        const spd = sdcSpeeds ? sdcSpeeds[currentFrameInt] : null;
+        speedUiRef.current.innerText = spd != null ? `Speed: ${spd.toFixed(2)} m/s` : "Speed: – m/s";
       }
     }
   });
   return null;
 };
 
-export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
+export function Scene({ data, predictions = null, fileInfo, scenarioInfo, onFinished, onNext }) {
   // data is now the Pre-Parsed Object from useRecordBuffer
   // { parsedMap, center, scenarioId, parsedAgents, parsedTrafficLights, parsedPathSamples, parsedSdcState, sdcSpeeds }
 
@@ -85,49 +118,196 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
 
   const frameRef = useRef(0);
   const [isPlaying, setIsPlaying] = useState(true);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [loop, setLoop] = useState(false);
+  // Playback state to restore once a scrub drag ends
+  const wasPlayingRef = useRef(false);
 
-  // Compute env/weather/variant deterministically or via useMemo
-  // Use scenarioId as a seed if available, or just random but memoized per data instance
-  const { variant, envName, weather } = useMemo(() => {
-    // If data is null, return defaults
-    if (!data) return { variant: 0, envName: "night", weather: "clear" };
+  // Transport controls. All of them move frameRef, which every layer reads each frame.
+  const togglePlay = useCallback(() => {
+    // Pressing play at the end restarts the scenario
+    if (!isPlaying && frameRef.current >= TOTAL_FRAMES - 1) frameRef.current = 0;
+    setIsPlaying(!isPlaying);
+  }, [isPlaying]);
+
+  const step = useCallback((delta) => {
+    setIsPlaying(false);
+    frameRef.current = Math.min(TOTAL_FRAMES - 1, Math.max(0, Math.floor(frameRef.current) + delta));
+  }, []);
+
+  const seek = useCallback((frame) => {
+    frameRef.current = Math.min(TOTAL_FRAMES - 1, Math.max(0, frame));
+  }, []);
+
+  const startScrub = useCallback(() => {
+    wasPlayingRef.current = isPlaying;
+    setIsPlaying(false);
+  }, [isPlaying]);
+
+  const endScrub = useCallback(() => {
+    if (wasPlayingRef.current) setIsPlaying(true);
+  }, []);
+
+  // Layer visibility (persisted), camera mode cycling and overlays, also driven by keyboard shortcuts
+  const { visibility: layers, toggleLayer, resetLayers } = useLayerVisibility();
+  const roadGraphLayers = useMemo(() => childVisibility(layers, "roadGraph"), [layers]);
+  const agentLayers = useMemo(() => childVisibility(layers, "agents"), [layers]);
+  const predictionLayers = useMemo(() => childVisibility(layers, "predictions"), [layers]);
+  const [cameraCycle, setCameraCycle] = useState(0);
+  const [showHelp, setShowHelp] = useState(false);
+  const [showLayerPanel, setShowLayerPanel] = useState(false);
+  const [showMetricsPanel, setShowMetricsPanel] = useState(true);
+  const [colorMode, setColorMode] = useState(colorModeFromUrl);
+
+  // Manual camera (picked mode with tweaked offsets, or free orbit) and saved bookmarks.
+  // Unlike the automatic pick it stays in place across scenarios.
+  const [manualCamera, setManualCamera] = useState(cameraSettingFromUrl);
+  const [showCameraPanel, setShowCameraPanel] = useState(false);
+  const { bookmarks, saveBookmark, deleteBookmark } = useCameraBookmarks();
+  const cameraRigApiRef = useRef(null);
+
+  // Saves the manual mode with its offsets, or else the current view as a free-orbit pose
+  const saveCameraBookmark = useCallback((name) => {
+    if (manualCamera && manualCamera.mode !== FREE_MODE) {
+      saveBookmark(name, { mode: manualCamera.mode, params: modeParams(manualCamera.mode, manualCamera.params) });
+      return;
+    }
+    const pose = cameraRigApiRef.current?.capturePose();
+    saveBookmark(name, pose ? { mode: FREE_MODE, pose } : { mode: FREE_MODE });
+  }, [manualCamera, saveBookmark]);
+
+  // A fresh object each time, so recalling a free-orbit pose places the camera again
+  const recallCameraBookmark = useCallback((bookmark) => {
+    setManualCamera(sanitizeCameraSetting(bookmark));
+  }, []);
+
+  const shareCameraBookmark = useCallback((bookmark) => {
+    const url = new URL(window.location.href);
+    url.searchParams.set("cameraBookmark", JSON.stringify(sanitizeCameraSetting(bookmark)));
+    const link = url.toString();
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link).catch(() => window.prompt("Copy this link", link));
+    } else {
+      window.prompt("Copy this link", link);
+    }
+  }, []);
+
+  // Picked agent, remembered per scenario so it clears when the next one loads
+  const [selection, setSelection] = useState(null);
+  const selectedId = selection && selection.scenarioId === scenarioId ? selection.agentId : null;
+  const selectedAgent = useMemo(
+    () => (selectedId === null ? null : parsedAgents.find((agent) => agent.id === selectedId) || null),
+    [parsedAgents, selectedId]
+  );
+  const selectAgent = useCallback((agent) => {
+    setSelection(agent ? { scenarioId, agentId: agent.id } : null);
+  }, [scenarioId]);
+  const clearSelection = useCallback(() => setSelection(null), []);
 
-    const keys = Object.keys(ENVS);
-    const randomKey = keys[Math.floor(Math.random() * keys.length)];
+  // Agent the camera follows instead of the SDC: picked per scenario, else ?follow=<state/id>
+  const [follow, setFollow] = useState(null);
+  const followId = useMemo(() => {
+    if (follow && follow.scenarioId === scenarioId) return follow.agentId;
+    const param = new URLSearchParams(window.location.search).get("follow");
+    if (param === null) return null;
+    const agent = parsedAgents.find((a) => String(a.id) === param);
+    return agent && !agent.isSdc ? agent.id : null;
+  }, [follow, scenarioId, parsedAgents]);
+  const followAgent = useCallback((agent) => {
+    setFollow({ scenarioId, agentId: agent && !agent.isSdc ? agent.id : null });
+  }, [scenarioId]);
+  // F: follow the picked agent, or go back to the SDC if it is already followed
+  const toggleFollow = useCallback(() => {
+    followAgent(selectedAgent && selectedAgent.id !== followId ? selectedAgent : null);
+  }, [followAgent, selectedAgent, followId]);
+  // Metrics panel row: pick the agent and point the camera at it
+  const inspectAgent = useCallback((agent) => {
+    selectAgent(agent);
+    followAgent(agent);
+  }, [selectAgent, followAgent]);
 
-    // Weather Probability: 80% Clear, 20% Special
-    const r = Math.random();
-    let w = "clear";
-    if (r > 0.8) {
-      const types = ["rain", "snow", "fog", "dust", "storm"];
-      w = types[Math.floor(Math.random() * types.length)];
+  // Hover tooltip, updated imperatively so hovering doesn't re-render the scene
+  const tooltipRef = useRef();
+  const hoverAgent = useCallback((agent, e) => {
+    document.body.style.cursor = agent ? "pointer" : "";
+    const tooltip = tooltipRef.current;
+    if (!tooltip) return;
+    if (!agent) {
+      tooltip.style.display = "none";
+      return;
     }
+    const step = agent.trajectory[Math.floor(frameRef.current)];
+    tooltip.innerText = `#${agent.id} ${agentTypeName(agent.type)}${step ? ` · ${step.speed.toFixed(1)} m/s` : ""}`;
+    tooltip.style.left = `${e.nativeEvent.offsetX + 12}px`;
+    tooltip.style.top = `${e.nativeEvent.offsetY + 12}px`;
+    tooltip.style.display = "block";
+  }, []);
+
+  const shortcutHandlers = useMemo(() => ({
+    togglePlay,
+    step,
+    nextScenario: () => onNext && onNext(),
+    cycleCamera: () => {
+      setManualCamera(null);
+      setCameraCycle((c) => c + 1);
+    },
+    toggleLayer,
+    toggleLayerPanel: () => setShowLayerPanel((v) => !v),
+    toggleCameraPanel: () => setShowCameraPanel((v) => !v),
+    toggleMetricsPanel: () => setShowMetricsPanel((v) => !v),
+    cycleColorMode: () => setColorMode((id) => COLOR_MODES[(COLOR_MODES.findIndex((m) => m.id === id) + 1) % COLOR_MODES.length].id),
+    toggleHelp: () => setShowHelp((v) => !v),
+    clearSelection,
+    toggleFollow,
+  }), [togglePlay, step, onNext, toggleLayer, clearSelection, toggleFollow]);
+
+  useKeyboardShortcuts(SHORTCUTS, shortcutHandlers);
+
+  // Env/weather/camera variant, seeded by scenarioId (plus ?env= / ?weather= / ?camera= / ?style=clean)
+  const { variant, envName, weather, cameraMode, postProcessing, seed } = useMemo(() => {
+    // If data is null, return defaults
+    if (!scenarioId) return { variant: 0, envName: "night", weather: "clear", cameraMode: null, postProcessing: true, seed: "" };
+    return pickSceneStyle(scenarioId, window.location.search);
+  }, [scenarioId]); // Re-compute only when the scenario changes
 
-    return {
-        variant: Math.floor(Math.random() * 100),
-        envName: randomKey,
-        weather: w
-    };
-  }, [data]); // Re-compute only when data changes (new scenario)
+  // Model predictions matched to this scenario's agents
+  const parsedPredictions = useMemo(
+    () => parsePredictions(predictions, parsedAgents, center),
+    [predictions, parsedAgents, center]
+  );
+  const predictionMetrics = useMemo(
+    () => computePredictionMetrics(parsedPredictions, parsedAgents),
+    [parsedPredictions, parsedAgents]
+  );
 
-  // Reset when data changes
+  // New scenario: resume playback and go back to the first camera variant. Adjusted during render
+  // against the previous data (rather than in an effect) so it lands in the same commit.
+  const [playbackData, setPlaybackData] = useState(data);
+  if (data !== playbackData) {
+    setPlaybackData(data);
+    if (data) {
+      setIsPlaying(true);
+      setCameraCycle(0);
+    }
+  }
+
+  // Rewind the frame and its imperative readouts when data changes
   useEffect(() => {
     if (data) {
       frameRef.current = 0;
       // Also reset UI
       if (frameUiRef.current)
         frameUiRef.current.innerText = `Frame: 0 / ${TOTAL_FRAMES}`;
-      if (speedUiRef.current && sdcSpeeds && sdcSpeeds[0])
+      if (speedUiRef.current && sdcSpeeds && sdcSpeeds[0] != null)
         speedUiRef.current.innerText = `Speed: ${sdcSpeeds[0].toFixed(2)} m/s`;
-
-      setIsPlaying(true);
     }
   }, [data, sdcSpeeds]);
 
 
   // Memoize CameraRig Logic
   const cameraRigComponent = useMemo(() => {
-    const isAuto = new URLSearchParams(window.location.search).get("autoCamera") !== "false";
+    // A manually picked mode drives the camera even with ?autoCamera=false
+    const isAuto = manualCamera !== null || new URLSearchParams(window.location.search).get("autoCamera") !== "false";
     return parsedMap ? (
         <CameraRig
           map={parsedMap}
@@ -137,9 +317,14 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
           variant={variant}
           isAuto={isAuto}
           onCameraChange={setCameraName}
+          cycle={cameraCycle}
+          forcedMode={cameraMode}
+          targetId={followId}
+          manual={manualCamera}
+          apiRef={cameraRigApiRef}
         />
     ) : null;
-  }, [parsedMap, parsedAgents, center, variant]);
+  }, [parsedMap, parsedAgents, center, variant, cameraCycle, cameraMode, followId, manualCamera]);
 
   return (
     <div
@@ -153,6 +338,7 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
       <Canvas
         camera={{ position: [0, -20, 20], fov: 45, up: [0, 0, 1] }}
         shadows
+        onPointerMissed={clearSelection}
       >
         <EnvironmentPreloader />
         <color attach="background" args={["#050505"]} />
@@ -166,10 +352,10 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
         {/* Local Environment Asset */}
         <Environment files={ENVS[envName]} blur={0.6} background={false} />
         {/* Weather Effects */}
-        {weather === "fog" && <fog attach="fog" args={["#1a1a1a", 10, 80]} />}
-        {weather === "dust" && <fog attach="fog" args={["#e6c288", 5, 60]} />}
+        {layers.weather && weather === "fog" && <fog attach="fog" args={["#1a1a1a", 10, 80]} />}
+        {layers.weather && weather === "dust" && <fog attach="fog" args={["#e6c288", 5, 60]} />}
         {/* Storm is darker */}
-        {weather === "storm" && (
+        {layers.weather && weather === "storm" && (
           <fog attach="fog" args={["#050510", 10, 100]} />
         )}
         <OrbitControls makeDefault />
@@ -177,19 +363,23 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
             frameRef={frameRef}
             isPlaying={isPlaying}
             setIsPlaying={setIsPlaying}
+            playbackRate={playbackRate}
+            loop={loop}
             onFinished={onFinished}
             sdcSpeeds={sdcSpeeds}
             frameUiRef={frameUiRef}
             speedUiRef={speedUiRef}
         />
-        <EffectComposer disableNormalPass>
-          <Bloom
-            luminanceThreshold={1.0}
-            mipmapBlur
-            intensity={1.5}
-            radius={0.4}
-          />
-        </EffectComposer>
+        {postProcessing && layers.bloom && (
+          <EffectComposer disableNormalPass>
+            <Bloom
+              luminanceThreshold={1.0}
+              mipmapBlur
+              intensity={1.5}
+              radius={0.4}
+            />
+          </EffectComposer>
+        )}
         <group position={[0, 0, -0.78]}>
           <ContactShadows
             resolution={1024}
@@ -200,19 +390,27 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
             color="#000000"
           />
         </group>
-        {parsedMap && <RoadGraph map={parsedMap} center={center} />}
-        {parsedMap && (
+        {layers.roadGraph && parsedMap && <RoadGraph map={parsedMap} center={center} layers={roadGraphLayers} />}
+        {layers.sdcPath && parsedMap && (
           <SdcPathHighlight sdcState={parsedSdcState} frameRef={frameRef} />
         )}
-        {parsedPathSamples && <PathSamples vertices={parsedPathSamples} />}
-        {parsedMap && (
+        {layers.pathSamples && parsedPathSamples && <PathSamples vertices={parsedPathSamples} />}
+        {layers.agents && parsedMap && (
           <Agents
             agents={parsedAgents}
             trafficLights={parsedTrafficLights}
             frameRef={frameRef}
+            layers={agentLayers}
+            selectedId={selectedId}
+            onSelect={selectAgent}
+            onHover={hoverAgent}
+            colorMode={colorMode}
           />
         )}
-        {parsedTrafficLights && (
+        {layers.predictions && parsedPredictions && (
+          <PredictionOverlay predictions={parsedPredictions} layers={predictionLayers} />
+        )}
+        {layers.trafficLights && parsedTrafficLights && (
           <TrafficLights
             key="traffic-lights-spheres"
             trafficLights={parsedTrafficLights}
@@ -220,16 +418,116 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
           />
         )}
         {/* New Visual Layer: Weather */}
-        {(weather === "rain" || weather === "storm") && (
+        {layers.weather && (weather === "rain" || weather === "storm") && (
           <Rain count={weather === "storm" ? 15000 : 10000} />
         )}
-        {weather === "snow" && <Snow />}
-        {weather === "dust" && <Dust />}
-        {weather === "storm" && <Lightning />}
+        {layers.weather && weather === "snow" && <Snow />}
+        {layers.weather && weather === "dust" && <Dust />}
+        {layers.weather && weather === "storm" && <Lightning seed={seed} />}
 
         {cameraRigComponent}
       </Canvas>
 
+      <TransportBar
+        frameRef={frameRef}
+        isPlaying={isPlaying}
+        onTogglePlay={togglePlay}
+        onStep={step}
+        onSeek={seek}
+        onScrubStart={startScrub}
+        onScrubEnd={endScrub}
+        playbackRate={playbackRate}
+        onPlaybackRateChange={setPlaybackRate}
+        loop={loop}
+        onLoopChange={setLoop}
+      />
+
+      {showCameraPanel ? (
+        <CameraPanel
+          manual={manualCamera}
+          onChange={setManualCamera}
+          bookmarks={bookmarks}
+          onSave={saveCameraBookmark}
+          onRecall={recallCameraBookmark}
+          onDelete={deleteBookmark}
+          onShare={shareCameraBookmark}
+          onClose={() => setShowCameraPanel(false)}
+        />
+      ) : (
+        <button
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => setShowCameraPanel(true)}
+          style={{ ...overlayButtonStyle, right: showLayerPanel ? 300 : 120 }}
+        >
+          Camera (K)
+        </button>
+      )}
+
+      {showLayerPanel ? (
+        <LayerPanel
+          visibility={layers}
+          onToggle={toggleLayer}
+          onReset={resetLayers}
+          onClose={() => setShowLayerPanel(false)}
+        />
+      ) : (
+        <button
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => setShowLayerPanel(true)}
+          style={{ ...overlayButtonStyle, right: 20 }}
+        >
+          Layers (L)
+        </button>
+      )}
+
+      {layers.agents && <ColorLegend colorMode={colorMode} onChange={setColorMode} />}
+
+      {predictionMetrics && (showMetricsPanel ? (
+        <MetricsPanel
+          metrics={predictionMetrics}
+          model={parsedPredictions.model}
+          selectedId={selectedId}
+          onPickAgent={inspectAgent}
+          onClose={() => setShowMetricsPanel(false)}
+        />
+      ) : (
+        <button
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => setShowMetricsPanel(true)}
+          style={{ ...overlayButtonStyle, top: "auto", bottom: 70, right: 20 }}
+        >
+          Metrics (M)
+        </button>
+      ))}
+
+      <div
+        ref={tooltipRef}
+        style={{
+          display: "none",
+          position: "absolute",
+          padding: "2px 6px",
+          background: "rgba(0, 0, 0, 0.55)",
+          borderRadius: 3,
+          color: "white",
+          fontFamily: "monospace",
+          fontSize: 12,
+          pointerEvents: "none",
+        }}
+      />
+
+      {selectedAgent && (
+        <AgentInspector
+          agent={selectedAgent}
+          center={center}
+          frameRef={frameRef}
+          onClose={clearSelection}
+          isFollowed={selectedAgent.id === followId}
+          onToggleFollow={toggleFollow}
+        />
+      )}
+
+      {showHelp && <ShortcutHelp shortcuts={SHORTCUTS} onClose={() => setShowHelp(false)} />}
+
       {/* Minimal Info */}
       <div
         style={{
@@ -243,10 +541,16 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
       >
         <div ref={speedUiRef}>Speed: 0.00 m/s</div>
         <div>
-          Camera: {cameraName} | Env: {envName.toUpperCase()}
+          Camera: {cameraName}{followId !== null ? ` → #${followId}` : ""} | Env: {envName.toUpperCase()}
           {weather !== "clear" ? ` + ${weather.toUpperCase()}` : ""}
         </div>
         <div ref={frameUiRef}>Frame: 0 / {TOTAL_FRAMES}</div>
+        {parsedPredictions && (
+          <div>
+            Predictions: {parsedPredictions.model || "model"} ({parsedPredictions.agents.length} agents)
+          </div>
+        )}
+        <div>Press ? for keyboard shortcuts</div>
         <div>
           File:{" "}
           {fileInfo
@@ -260,3 +564,15 @@ export function Scene({ data, fileInfo, scenarioInfo, onFinished }) {
     </div>
   );
 }
+
+const overlayButtonStyle = {
+  position: "absolute",
+  top: 20,
+  background: "rgba(0, 0, 0, 0.55)",
+  border: "1px solid rgba(255, 255, 255, 0.2)",
+  borderRadius: 4,
+  color: "white",
+  fontFamily: "monospace",
+  padding: "4px 10px",
+  cursor: "pointer",
+};
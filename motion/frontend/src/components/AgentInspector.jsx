@@ -0,0 +1,116 @@
+import React, { useEffect, useRef } from 'react';
+import { CURRENT_FRAME, TOTAL_FRAMES } from '../constants/timeline';
+import { agentTypeName } from '../constants/agents';
+
+const keepFocus = (e) => e.preventDefault();
+
+const fmt = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '-');
+
+// Details of the picked agent. Static facts render once; the per-frame readout and the
+// validity strip marker follow `frameRef` imperatively, like the transport bar.
+export function AgentInspector({ agent, center = [0, 0, 0], frameRef, onClose, isFollowed = false, onToggleFollow }) {
+    const readoutRef = useRef();
+    const markerRef = useRef();
+
+    useEffect(() => {
+        let raf;
+        const sync = () => {
+            const frame = Math.min(TOTAL_FRAMES - 1, Math.floor(frameRef.current));
+            const step = agent.trajectory[frame];
+            const valid = !agent.valid || agent.valid[frame];
+            if (readoutRef.current) {
+                readoutRef.current.innerText = step ? [
+                    `Frame     ${frame}${valid ? '' : ' (invalid)'}`,
+                    `Position  ${fmt(step.x + center[0])}, ${fmt(step.y + center[1])}, ${fmt(step.z + center[2])}`,
+                    `Speed     ${fmt(step.speed)} m/s`,
+                    `Accel     ${fmt(step.accel)} m/s²`,
+                    `Yaw       ${fmt((step.yaw * 180) / Math.PI, 1)}°`,
+                ].join('\n') : `Frame     ${frame}`;
+            }
+            if (markerRef.current) {
+                markerRef.current.style.left = `${(frame / TOTAL_FRAMES) * 100}%`;
+            }
+            raf = requestAnimationFrame(sync);
+        };
+        sync();
+        return () => cancelAnimationFrame(raf);
+    }, [agent, center, frameRef]);
+
+    const validCount = agent.valid ? agent.valid.reduce((sum, v) => sum + v, 0) : agent.trajectory.length;
+
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                top: 20,
+                left: 20,
+                width: 300,
+                padding: '12px 14px',
+                background: 'rgba(0, 0, 0, 0.7)',
+                borderRadius: 6,
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 12,
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+                <span style={{ fontWeight: 'bold' }}>Agent {agent.id}</span>
+                <span>
+                    {onToggleFollow && !agent.isSdc && (
+                        <button onMouseDown={keepFocus} onClick={onToggleFollow} style={linkButtonStyle} title="Camera follows this agent (F)">
+                            {isFollowed ? 'unfollow' : 'follow'}
+                        </button>
+                    )}
+                    <button onMouseDown={keepFocus} onClick={onClose} style={linkButtonStyle} title="Deselect (Esc)">✕</button>
+                </span>
+            </div>
+            <div style={{ whiteSpace: 'pre', lineHeight: 1.5 }}>
+                {[
+                    `Type      ${agentTypeName(agent.type)}${agent.isSdc ? ' (SDC)' : ''}`,
+                    `Size      ${fmt(agent.dims[0])} × ${fmt(agent.dims[1])} × ${fmt(agent.dims[2])} m`,
+                    `Parked    ${agent.isParked ? 'yes' : 'no'}`,
+                ].join('\n')}
+            </div>
+            {agent.parkedReason && (
+                <div style={{ paddingLeft: '10ch', lineHeight: 1.5, opacity: 0.6 }}>{agent.parkedReason}</div>
+            )}
+            <div style={{ whiteSpace: 'pre', lineHeight: 1.5 }}>
+                {[
+                    `Predict   ${agent.isTrackToPredict ? `yes${agent.difficulty ? ` (difficulty ${agent.difficulty})` : ''}` : 'no'}`,
+                    `Interest  ${agent.isObjectOfInterest ? 'yes' : 'no'}`,
+                ].join('\n')}
+            </div>
+            <div ref={readoutRef} style={{ whiteSpace: 'pre', lineHeight: 1.5, marginTop: 6 }} />
+
+            <div style={{ marginTop: 10, marginBottom: 4, opacity: 0.7 }}>
+                Valid {validCount} / {TOTAL_FRAMES} steps
+            </div>
+            <div style={{ position: 'relative', display: 'flex', height: 10 }} title="Validity per step: past | current | future">
+                {Array.from({ length: TOTAL_FRAMES }, (_, t) => (
+                    <div
+                        key={t}
+                        style={{
+                            flex: 1,
+                            background: !agent.valid || agent.valid[t] ? (t === CURRENT_FRAME ? '#00e5ff' : 'rgba(0, 229, 255, 0.45)') : 'rgba(255, 80, 80, 0.6)',
+                            borderRight: t === CURRENT_FRAME - 1 || t === CURRENT_FRAME ? '1px solid black' : 'none',
+                        }}
+                    />
+                ))}
+                <div
+                    ref={markerRef}
+                    style={{ position: 'absolute', top: -2, bottom: -2, width: 2, background: 'white', pointerEvents: 'none' }}
+                />
+            </div>
+        </div>
+    );
+}
+
+const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: 'white',
+    opacity: 0.7,
+    fontFamily: 'monospace',
+    cursor: 'pointer',
+    marginLeft: 6,
+};
@@ -4,6 +4,9 @@ import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import { WaymoCar } from './WaymoCar';
+import { FRAMES_PER_SECOND, TOTAL_FRAMES } from '../constants/timeline';
+import { agentTypeColor, agentTypeLayer, TRACK_TO_PREDICT_COLOR, OBJECT_OF_INTEREST_COLOR } from '../constants/agents';
+import { DEFAULT_COLOR_MODE, findColorMode } from '../constants/colorModes';
 
 const TEMP_OBJECT = new THREE.Object3D();
 const TEMP_COLOR = new THREE.Color();
@@ -214,11 +217,36 @@ function createBrakeLightGeometry() {
 }
 const BRAKE_LIGHT_GEO = createBrakeLightGeometry();
 
+// Ground halo under prediction targets: unit-radius ring, flat in XY, scaled per agent
+const HALO_GEO = new THREE.RingGeometry(0.85, 1.0, 40);
+
+// Trails cover the last second; ghost boxes mark where agents will be every second for the next 3 s
+const TRAIL_FRAMES = FRAMES_PER_SECOND;
+const GHOST_INTERVAL = FRAMES_PER_SECOND;
+const GHOST_COUNT = 3;
+
+// Arrow glyphs: a unit-length flat shaft along +X and a cone head (tip at +X) placed at its end
+const ARROW_SHAFT_GEO = new THREE.BoxGeometry(1, 0.15, 0.05);
+ARROW_SHAFT_GEO.translate(0.5, 0, 0);
+const ARROW_HEAD_LENGTH = 0.6;
+const ARROW_HEAD_GEO = new THREE.ConeGeometry(0.3, ARROW_HEAD_LENGTH, 12);
+ARROW_HEAD_GEO.rotateZ(-Math.PI / 2);
+ARROW_HEAD_GEO.translate(ARROW_HEAD_LENGTH / 2, 0, 0);
+
+// Velocity arrows span the distance covered in VELOCITY_ARROW_SECONDS; slower agents get none
+const VELOCITY_ARROW_SECONDS = 0.5;
+const MIN_ARROW_SPEED = 0.2; // m/s
+const SDC_VELOCITY_COLOR = 0x00FF66;
+const AGENT_VELOCITY_COLOR = 0x8FA3B8;
+// Heading arrows (bbox_yaw) reach this far past the front of the box
+const HEADING_ARROW_REACH = 1.5;
+const HEADING_ARROW_COLOR = 0xFFFFFF;
+
 // Pre-allocated objects for loop
 const VEC3_A = new THREE.Vector3();
 const VEC3_B = new THREE.Vector3();
 // For getAgentState caching/reuse
-const _agentState = { x: 0, y: 0, z: 0, yaw: 0, accel: 0, speed: 0 };
+const _agentState = { x: 0, y: 0, z: 0, yaw: 0, accel: 0, speed: 0, vx: 0, vy: 0 };
 
 // Helper to get agent state outside useFrame callback
 const getAgentState = (agent, currentFrame) => {
@@ -252,18 +280,25 @@ const getAgentState = (agent, currentFrame) => {
          const a1 = step1.accel || 0;
          const a2 = step2.accel || 0;
          _agentState.accel = a1 + (a2 - a1) * alpha;
+         // Velocity arrows
+         _agentState.vx = step1.vx + (step2.vx - step1.vx) * alpha;
+         _agentState.vy = step1.vy + (step2.vy - step1.vy) * alpha;
+         _agentState.speed = step1.speed + (step2.speed - step1.speed) * alpha;
     } else {
          _agentState.x = step1.x;
          _agentState.y = step1.y;
          _agentState.z = step1.z;
          _agentState.yaw = step1.yaw;
          _agentState.accel = step1.accel || 0;
+         _agentState.vx = step1.vx;
+         _agentState.vy = step1.vy;
+         _agentState.speed = step1.speed;
     }
     return _agentState;
 };
 
-const updateInstance = (idx, agent, refs, currentFrame, scaleOverride) => {
-    const st = getAgentState(agent, currentFrame);
+const updateInstance = (idx, agent, refs, currentFrame, scaleOverride, hide = false) => {
+    const st = hide ? null : getAgentState(agent, currentFrame);
     if (!st) {
          TEMP_OBJECT.scale.set(0,0,0);
          TEMP_OBJECT.updateMatrix();
@@ -291,33 +326,280 @@ const updateInstance = (idx, agent, refs, currentFrame, scaleOverride) => {
     });
 };
 
-export const Agents = React.memo(function Agents({ agents, trafficLights, frameRef }) {
+// Outline and ground ring drawn around the picked agent
+function SelectionMarker({ agent, frameRef }) {
+    const groupRef = useRef();
+
+    useFrame(() => {
+        if (!groupRef.current) return;
+        const st = getAgentState(agent, frameRef.current);
+        if (!st) {
+            groupRef.current.visible = false;
+            return;
+        }
+        groupRef.current.visible = true;
+        groupRef.current.position.set(st.x, st.y, st.z - agent.dims[2] / 2);
+        groupRef.current.rotation.set(0, 0, st.yaw);
+    });
+
+    const radius = Math.max(agent.dims[0], agent.dims[1]) * 0.75 + 0.5;
+    return (
+        <group ref={groupRef}>
+            <mesh geometry={BOX_GEO_BOTTOM} scale={[agent.dims[0] + 0.3, agent.dims[1] + 0.3, agent.dims[2] + 0.3]}>
+                <meshBasicMaterial color="#FFEB3B" wireframe toneMapped={false} />
+            </mesh>
+            <mesh position={[0, 0, 0.05]}>
+                <ringGeometry args={[radius, radius + 0.25, 48]} />
+                <meshBasicMaterial color="#FFEB3B" transparent opacity={0.8} side={THREE.DoubleSide} toneMapped={false} />
+            </mesh>
+        </group>
+    );
+}
+
+// Sets the color of every instance in a batch under a color mode, from each agent's step at `frame`
+const paintBatch = (mesh, batch, mode, frame) => {
+    if (!mesh || batch.length === 0) return;
+    const idx = Math.floor(frame);
+    batch.forEach((agent, i) => {
+        TEMP_COLOR.setHex(mode.color(agent, agent.trajectory[idx] || null));
+        mesh.setColorAt(i, TEMP_COLOR);
+    });
+    mesh.instanceColor.needsUpdate = true;
+};
+
+// Fading line behind each drawn agent through its last TRAIL_FRAMES valid steps. All trails share
+// one pre-allocated line-segment buffer that is rewritten every frame.
+function AgentTrails({ agents, frameRef, isDrawn, mode }) {
+    const geometry = useMemo(() => {
+        const segments = agents.length * TRAIL_FRAMES;
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(segments * 6), 3).setUsage(THREE.DynamicDrawUsage));
+        geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(segments * 8), 4).setUsage(THREE.DynamicDrawUsage));
+        geo.setDrawRange(0, 0);
+        return geo;
+    }, [agents]);
+
+    useFrame(() => {
+        if (!frameRef) return;
+        const currentFrame = frameRef.current;
+        const last = Math.floor(currentFrame);
+        const positions = geometry.attributes.position.array;
+        const colors = geometry.attributes.color.array;
+        let n = 0;
+
+        const push = (x, y, z, alpha) => {
+            positions[n * 3] = x;
+            positions[n * 3 + 1] = y;
+            positions[n * 3 + 2] = z;
+            colors[n * 4] = TEMP_COLOR.r;
+            colors[n * 4 + 1] = TEMP_COLOR.g;
+            colors[n * 4 + 2] = TEMP_COLOR.b;
+            colors[n * 4 + 3] = alpha;
+            n++;
+        };
+
+        for (const agent of agents) {
+            if (!isDrawn(agent)) continue;
+            const st = getAgentState(agent, currentFrame);
+            if (!st) continue;
+            TEMP_COLOR.setHex(mode.color(agent, agent.trajectory[last] || null));
+            const lift = 0.1 - agent.dims[2] / 2;
+
+            // From the interpolated position back through whole steps, stopping at a gap
+            let x = st.x, y = st.y, z = st.z;
+            let age = 0;
+            for (let f = last; f >= Math.max(0, last - TRAIL_FRAMES + 1); f--) {
+                const step = agent.trajectory[f];
+                if (!step) break;
+                const stepAge = currentFrame - f;
+                if (stepAge > 0) {
+                    push(x, y, z + lift, 1 - age / TRAIL_FRAMES);
+                    push(step.x, step.y, step.z + lift, Math.max(0, 1 - stepAge / TRAIL_FRAMES));
+                }
+                x = step.x;
+                y = step.y;
+                z = step.z;
+                age = stepAge;
+            }
+        }
+
+        geometry.setDrawRange(0, n);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    });
+
+    return (
+        <lineSegments geometry={geometry} frustumCulled={false}>
+            <lineBasicMaterial vertexColors transparent depthWrite={false} toneMapped={false} />
+        </lineSegments>
+    );
+}
+
+// Translucent boxes at each drawn agent's ground-truth pose GHOST_INTERVAL, 2 × GHOST_INTERVAL, ...
+// frames ahead, as one instanced mesh (GHOST_COUNT instances per agent).
+function GhostBoxes({ agents, frameRef, isDrawn, mode }) {
+    const meshRef = useRef();
+
+    useFrame(() => {
+        if (!meshRef.current || !frameRef) return;
+        const currentFrame = frameRef.current;
+
+        agents.forEach((agent, i) => {
+            const drawn = isDrawn(agent);
+            for (let g = 0; g < GHOST_COUNT; g++) {
+                const frame = currentFrame + (g + 1) * GHOST_INTERVAL;
+                const st = drawn && frame <= TOTAL_FRAMES - 1 ? getAgentState(agent, frame) : null;
+                if (!st) {
+                    TEMP_OBJECT.scale.set(0, 0, 0);
+                } else {
+                    TEMP_OBJECT.position.set(st.x, st.y, st.z - agent.dims[2] / 2);
+                    TEMP_OBJECT.rotation.set(0, 0, st.yaw);
+                    TEMP_OBJECT.scale.set(agent.dims[0], agent.dims[1], agent.dims[2]);
+                    // Colored by the ghost's own step, so dynamic modes preview what's coming
+                    TEMP_COLOR.setHex(mode.color(agent, agent.trajectory[Math.floor(frame)] || null));
+                    meshRef.current.setColorAt(i * GHOST_COUNT + g, TEMP_COLOR);
+                }
+                TEMP_OBJECT.updateMatrix();
+                meshRef.current.setMatrixAt(i * GHOST_COUNT + g, TEMP_OBJECT.matrix);
+            }
+        });
+        meshRef.current.instanceMatrix.needsUpdate = true;
+        if (meshRef.current.instanceColor) meshRef.current.instanceColor.needsUpdate = true;
+    });
+
+    return (
+        <instancedMesh ref={meshRef} args={[BOX_GEO_BOTTOM, null, agents.length * GHOST_COUNT]} frustumCulled={false}>
+            <meshBasicMaterial transparent opacity={0.2} depthWrite={false} toneMapped={false} />
+        </instancedMesh>
+    );
+}
+
+// Velocity (length ∝ speed, bright for the SDC) or heading (bbox_yaw) arrow over every drawn agent,
+// as two instanced meshes (shafts and heads) posed from the interpolated state every frame.
+function ArrowGlyphs({ agents, frameRef, isDrawn, kind }) {
+    const shaftRef = useRef();
+    const headRef = useRef();
+
+    React.useEffect(() => {
+        agents.forEach((agent, i) => {
+            TEMP_COLOR.setHex(kind === 'heading' ? HEADING_ARROW_COLOR : agent.isSdc ? SDC_VELOCITY_COLOR : AGENT_VELOCITY_COLOR);
+            shaftRef.current.setColorAt(i, TEMP_COLOR);
+            headRef.current.setColorAt(i, TEMP_COLOR);
+        });
+        shaftRef.current.instanceColor.needsUpdate = true;
+        headRef.current.instanceColor.needsUpdate = true;
+    }, [agents, kind]);
+
+    useFrame(() => {
+        if (!shaftRef.current || !headRef.current || !frameRef) return;
+        const currentFrame = frameRef.current;
+
+        agents.forEach((agent, i) => {
+            const st = isDrawn(agent) ? getAgentState(agent, currentFrame) : null;
+            let length = 0;
+            let yaw = 0;
+            if (st && kind === 'heading') {
+                length = agent.dims[0] / 2 + HEADING_ARROW_REACH;
+                yaw = st.yaw;
+            } else if (st && st.speed >= MIN_ARROW_SPEED) {
+                length = st.speed * VELOCITY_ARROW_SECONDS;
+                yaw = Math.atan2(st.vy, st.vx);
+            }
+
+            if (length === 0) {
+                TEMP_OBJECT.scale.set(0, 0, 0);
+                TEMP_OBJECT.updateMatrix();
+                shaftRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
+                headRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
+                return;
+            }
+
+            // Just above the roof, from the box center; short arrows get a shrunken head
+            const headScale = Math.min(1, length / (2 * ARROW_HEAD_LENGTH));
+            const shaft = length - ARROW_HEAD_LENGTH * headScale;
+            const z = st.z + agent.dims[2] / 2 + 0.15;
+            TEMP_OBJECT.position.set(st.x, st.y, z);
+            TEMP_OBJECT.rotation.set(0, 0, yaw);
+            TEMP_OBJECT.scale.set(shaft, 1, 1);
+            TEMP_OBJECT.updateMatrix();
+            shaftRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
+
+            TEMP_OBJECT.position.set(st.x + Math.cos(yaw) * shaft, st.y + Math.sin(yaw) * shaft, z);
+            TEMP_OBJECT.scale.set(headScale, headScale, headScale);
+            TEMP_OBJECT.updateMatrix();
+            headRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
+        });
+        shaftRef.current.instanceMatrix.needsUpdate = true;
+        headRef.current.instanceMatrix.needsUpdate = true;
+    });
+
+    return (
+        <group>
+            <instancedMesh ref={shaftRef} args={[ARROW_SHAFT_GEO, null, agents.length]} frustumCulled={false}>
+                <meshBasicMaterial toneMapped={false} />
+            </instancedMesh>
+            <instancedMesh ref={headRef} args={[ARROW_HEAD_GEO, null, agents.length]} frustumCulled={false}>
+                <meshBasicMaterial toneMapped={false} />
+            </instancedMesh>
+        </group>
+    );
+}
+
+// `layers` toggles sub-layers by id (see constants/layers.js); missing entries count as visible.
+// `onSelect(agent)` / `onHover(agent | null, event)` report picks on any agent; `selectedId` is outlined.
+// `colorMode` picks how bodies, trails and ghosts are colored (see constants/colorModes.js).
+export const Agents = React.memo(function Agents({ agents, trafficLights, frameRef, layers = {}, selectedId = null, onSelect, onHover, colorMode = DEFAULT_COLOR_MODE }) {
+    const mode = findColorMode(colorMode);
+    const show = (id) => layers[id] !== false;
+    const showParked = show('parkedVehicles');
+    const showVehicles = show('vehicles');
+    const showPedestrians = show('pedestrians');
+    const showCyclists = show('cyclists');
+    const showOthers = show('others');
+    const showHalos = show('predictionHalos');
+    // Filter: hide everything but tracks_to_predict (the SDC always stays)
+    const targetsOnly = layers.predictionTargetsOnly === true;
+    const isFilteredOut = (agent) => targetsOnly && !agent.isSdc && !agent.isTrackToPredict;
+    // Whether an agent's own mesh is currently drawn (halos follow it)
+    const isDrawn = (agent) => {
+        if (agent.isSdc) return true;
+        if (isFilteredOut(agent)) return false;
+        const layer = agentTypeLayer(agent.type);
+        if (layer === 'vehicles') return showVehicles && (!agent.isParked || showParked);
+        return show(layer);
+    };
 
-    // ... (split agents logic - no change) ...
+    // Split by the same type -> layer map the toggles use (constants/agents.js)
     const { sdc, peds, cyclists, vehicles, others } = useMemo(() => {
-        const sdcArr = [];
-        const pedsArr = [];
-        const cyclistsArr = [];
-        const vehiclesArr = [];
-        const othersArr = [];
-        
+        const batches = { sdc: [], pedestrians: [], cyclists: [], vehicles: [], others: [] };
         agents.forEach(agent => {
-            if (agent.isSdc) {
-                sdcArr.push(agent);
-            } else if (agent.type === 2) { // Pedestrian
-                pedsArr.push(agent);
-            } else if (agent.type === 4) { // Cyclist
-                cyclistsArr.push(agent);
-            } else if (agent.type === 1) { // Vehicle
-                vehiclesArr.push(agent);
-            } else {
-                othersArr.push(agent); // Unknown or signs (3)
-            }
+            batches[agent.isSdc ? 'sdc' : agentTypeLayer(agent.type)].push(agent);
         });
-        
-        return { sdc: sdcArr, peds: pedsArr, cyclists: cyclistsArr, vehicles: vehiclesArr, others: othersArr };
+        return { sdc: batches.sdc, peds: batches.pedestrians, cyclists: batches.cyclists, vehicles: batches.vehicles, others: batches.others };
     }, [agents]);
 
+    // Pointer handlers for an instanced batch: instanceId indexes into that batch's agent list
+    // (plain meshes such as the SDC have no instanceId and pass a one-agent batch)
+    const pick = (batch) => ({
+        onClick: (e) => {
+            e.stopPropagation();
+            if (onSelect) onSelect(batch[e.instanceId ?? 0]);
+        },
+        onPointerOver: (e) => {
+            e.stopPropagation();
+            if (onHover) onHover(batch[e.instanceId ?? 0], e);
+        },
+        onPointerOut: () => onHover && onHover(null),
+    });
+
+    // tracks_to_predict and objects_of_interest, haloed
+    const highlighted = useMemo(() => agents.filter(agent => agent.isTrackToPredict || agent.isObjectOfInterest), [agents]);
+
+    const selectedAgent = selectedId === null ? null : agents.find(agent => agent.id === selectedId);
+
+    // Trails and ghost boxes for everyone but the SDC, which has its own path highlight
+    const nonSdc = useMemo(() => agents.filter(agent => !agent.isSdc), [agents]);
+
     // ... (refs - no change) ...
     const vehicleMeshRef = useRef();
  
@@ -336,56 +618,41 @@ export const Agents = React.memo(function Agents({ agents, trafficLights, frameR
 
     // Others Refs
     const othersMeshRef = useRef();
+    const haloRef = useRef();
 
     // --- INITIAL COLOR SETUP (OPTIMIZATION) ---
-    // We set static colors once when agents load, instead of every frame.
+    // We set static colors once when agents load, instead of every frame (dynamic color modes
+    // repaint in the update loop). Also re-runs when a toggled layer remounts its instanced meshes.
     React.useEffect(() => {
-        // Vehicles - Body Color
-        if (vehicles.length > 0 && vehicleMeshRef.current) {
-            vehicles.forEach((agent, i) => {
-                const color = agent.isParked ? 0xabcbfd : getTypeColor(agent.type);
-                TEMP_COLOR.setHex(color);
-                vehicleMeshRef.current.setColorAt(i, TEMP_COLOR);
+        // Body colors: vehicle body, pedestrian shirt, cyclist clothes, others' box
+        paintBatch(vehicleMeshRef.current, vehicles, mode, frameRef.current);
+        paintBatch(pedShirtRef.current, peds, mode, frameRef.current);
+        paintBatch(cycClothesRef.current, cyclists, mode, frameRef.current);
+        paintBatch(othersMeshRef.current, others, mode, frameRef.current);
+
+        // Halos - magenta for tracks to predict, amber for other objects of interest
+        if (highlighted.length > 0 && haloRef.current) {
+            highlighted.forEach((agent, i) => {
+                TEMP_COLOR.setHex(agent.isTrackToPredict ? TRACK_TO_PREDICT_COLOR : OBJECT_OF_INTEREST_COLOR);
+                haloRef.current.setColorAt(i, TEMP_COLOR);
             });
-            vehicleMeshRef.current.instanceColor.needsUpdate = true;
+            haloRef.current.instanceColor.needsUpdate = true;
         }
 
-        // Pedestrians - Shirt Color
-        if (peds.length > 0 && pedShirtRef.current) {
-            peds.forEach((agent, i) => {
-                const color = getTypeColor(agent.type);
-                TEMP_COLOR.setHex(color);
-                pedShirtRef.current.setColorAt(i, TEMP_COLOR);
-            });
-            pedShirtRef.current.instanceColor.needsUpdate = true;
-        }
-
-        // Cyclists - Clothes Color
-        if (cyclists.length > 0 && cycClothesRef.current) {
-            cyclists.forEach((agent, i) => {
-                 TEMP_COLOR.setHex(0x34A853); // Static green for now
-                 cycClothesRef.current.setColorAt(i, TEMP_COLOR);
-            });
-            cycClothesRef.current.instanceColor.needsUpdate = true;
-        }
-
-        // Others - Box Color
-        if (others.length > 0 && othersMeshRef.current) {
-            others.forEach((agent, i) => {
-                const color = getTypeColor(agent.type);
-                TEMP_COLOR.setHex(color);
-                othersMeshRef.current.setColorAt(i, TEMP_COLOR);
-            });
-            othersMeshRef.current.instanceColor.needsUpdate = true;
-        }
-
-    }, [vehicles, peds, cyclists, others]);
+    }, [vehicles, peds, cyclists, others, highlighted, mode, frameRef, showVehicles, showPedestrians, showCyclists, showOthers, showHalos]);
 
 
     // ... (update loop) ...
     useFrame(() => {
         if (!frameRef) return;
         const currentFrame = frameRef.current;
+
+        if (mode.dynamic) {
+            paintBatch(vehicleMeshRef.current, vehicles, mode, currentFrame);
+            paintBatch(pedShirtRef.current, peds, mode, currentFrame);
+            paintBatch(cycClothesRef.current, cyclists, mode, currentFrame);
+            paintBatch(othersMeshRef.current, others, mode, currentFrame);
+        }
         
         // Vehicles
         if (vehicleMeshRef.current) {
@@ -393,13 +660,14 @@ export const Agents = React.memo(function Agents({ agents, trafficLights, frameR
              for (let i = 0; i < vehiclesLen; i++) {
                  const agent = vehicles[i];
                  const st = getAgentState(agent, currentFrame);
-                 if(!st) {
+                 if(!st || (agent.isParked && !showParked) || isFilteredOut(agent)) {
                      // Hide vehicle
                      TEMP_OBJECT.scale.set(0,0,0);
                      TEMP_OBJECT.updateMatrix();
                      vehicleMeshRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
 
                      if (vehicleWireframeRef.current) vehicleWireframeRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
+                     if (vehicleBrakeLightRef.current) vehicleBrakeLightRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
                      continue;
                  }
                  
@@ -464,7 +732,7 @@ export const Agents = React.memo(function Agents({ agents, trafficLights, frameR
         if (peds.length > 0) {
             const pedsLen = peds.length;
             for (let i = 0; i < pedsLen; i++) {
-                 updateInstance(i, peds[i], [pedPantsRef, pedShirtRef, pedSkinRef], currentFrame);
+                 updateInstance(i, peds[i], [pedPantsRef, pedShirtRef, pedSkinRef], currentFrame, null, isFilteredOut(peds[i]));
             }
             [pedPantsRef, pedShirtRef, pedSkinRef].forEach(r => {
                  if (r.current) {
@@ -478,11 +746,11 @@ export const Agents = React.memo(function Agents({ agents, trafficLights, frameR
             const cyclistsLen = cyclists.length;
             for (let i = 0; i < cyclistsLen; i++) {
                  const agent = cyclists[i];
-                 updateInstance(i, agent, [cycFrameRef, cycWheelRef, cycClothesRef, cycSkinRef], currentFrame);
+                 updateInstance(i, agent, [cycFrameRef, cycWheelRef, cycClothesRef, cycSkinRef], currentFrame, null, isFilteredOut(agent));
 
                  // Wireframe for Cyclist
                  if (cycWireframeRef.current && agent.dims) {
-                       const st = getAgentState(agent, currentFrame);
+                       const st = isFilteredOut(agent) ? null : getAgentState(agent, currentFrame);
                        if (st) {
                            TEMP_OBJECT.position.set(st.x, st.y, st.z + agent.dims[2] / 2); // Center on volume (assuming st.z is ground)
                            TEMP_OBJECT.rotation.set(0, 0, st.yaw);
@@ -512,7 +780,7 @@ export const Agents = React.memo(function Agents({ agents, trafficLights, frameR
              for (let i = 0; i < othersLen; i++) {
                  const agent = others[i];
                  const st = getAgentState(agent, currentFrame);
-                 if(!st) {
+                 if(!st || isFilteredOut(agent)) {
                      TEMP_OBJECT.scale.set(0,0,0);
                      TEMP_OBJECT.updateMatrix();
                      othersMeshRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
@@ -531,26 +799,59 @@ export const Agents = React.memo(function Agents({ agents, trafficLights, frameR
              othersMeshRef.current.instanceMatrix.needsUpdate = true;
         }
 
+        // Prediction halos, on the ground under each drawn target
+        if (haloRef.current) {
+             for (let i = 0; i < highlighted.length; i++) {
+                 const agent = highlighted[i];
+                 const st = isDrawn(agent) ? getAgentState(agent, currentFrame) : null;
+                 if (!st) {
+                     TEMP_OBJECT.scale.set(0,0,0);
+                 } else {
+                     const r = Math.max(agent.dims[0], agent.dims[1]) * 0.6 + 0.4;
+                     TEMP_OBJECT.position.set(st.x, st.y, st.z - agent.dims[2] / 2 + 0.05);
+                     TEMP_OBJECT.rotation.set(0, 0, 0);
+                     TEMP_OBJECT.scale.set(r, r, 1);
+                 }
+                 TEMP_OBJECT.updateMatrix();
+                 haloRef.current.setMatrixAt(i, TEMP_OBJECT.matrix);
+             }
+             haloRef.current.instanceMatrix.needsUpdate = true;
+        }
+
     });
 
     return (
         <group>
             {/* SDC (Special - Keep as component) */}
             {sdc.map((agent) => (
-                <AgentItem key={`sdc-${agent.id}`} agent={agent} trafficLights={trafficLights} frameRef={frameRef} />
+                <AgentItem key={`sdc-${agent.id}`} agent={agent} trafficLights={trafficLights} frameRef={frameRef} showBrakeLights={show('brakeLights')} {...pick([agent])} />
             ))}
+
+            {showHalos && highlighted.length > 0 && (
+                <instancedMesh ref={haloRef} args={[HALO_GEO, null, highlighted.length]} frustumCulled={false}>
+                    <meshBasicMaterial transparent opacity={0.9} side={THREE.DoubleSide} toneMapped={false} depthWrite={false} />
+                </instancedMesh>
+            )}
+
+            {selectedAgent && <SelectionMarker agent={selectedAgent} frameRef={frameRef} />}
+
+            {show('trails') && nonSdc.length > 0 && <AgentTrails agents={nonSdc} frameRef={frameRef} isDrawn={isDrawn} mode={mode} />}
+            {show('ghosts') && nonSdc.length > 0 && <GhostBoxes agents={nonSdc} frameRef={frameRef} isDrawn={isDrawn} mode={mode} />}
+
+            {show('velocityVectors') && agents.length > 0 && <ArrowGlyphs agents={agents} frameRef={frameRef} isDrawn={isDrawn} kind="velocity" />}
+            {show('headingArrows') && agents.length > 0 && <ArrowGlyphs agents={agents} frameRef={frameRef} isDrawn={isDrawn} kind="heading" />}
             
             {/* Others - Now Instanced */}
-            {others.length > 0 && (
-                <instancedMesh ref={othersMeshRef} args={[GENERIC_BOX_GEO, null, others.length]} frustumCulled={false}>
+            {showOthers && others.length > 0 && (
+                <instancedMesh ref={othersMeshRef} args={[GENERIC_BOX_GEO, null, others.length]} frustumCulled={false} {...pick(others)}>
                     <meshStandardMaterial />
                 </instancedMesh>
             )}
             
             {/* Vehicles - Now using GENERIC_CAR_GEO */}
-            {vehicles.length > 0 && (
+            {showVehicles && vehicles.length > 0 && (
                 <group>
-                    <instancedMesh ref={vehicleMeshRef} args={[GENERIC_CAR_GEO, null, vehicles.length]} frustumCulled={false}>
+                    <instancedMesh ref={vehicleMeshRef} args={[GENERIC_CAR_GEO, null, vehicles.length]} frustumCulled={false} {...pick(vehicles)}>
                         <meshPhysicalMaterial 
                             metalness={0.6} 
                             roughness={0.2} 
@@ -561,71 +862,77 @@ export const Agents = React.memo(function Agents({ agents, trafficLights, frameR
                     </instancedMesh>
 
                     {/* Confidence Wireframe Shell */}
-                    <instancedMesh ref={vehicleWireframeRef} args={[BOX_GEO_BOTTOM, null, vehicles.length]} frustumCulled={false}>
-                        <meshBasicMaterial 
-                             color="#00FFFF" 
-                             wireframe={true} 
-                             transparent={true} 
-                             opacity={1.0}
-                             depthWrite={false}
-                             onBeforeCompile={wireframeShaderHandler}
-                        />
-                    </instancedMesh>
+                    {show('wireframes') && (
+                        <instancedMesh ref={vehicleWireframeRef} args={[BOX_GEO_BOTTOM, null, vehicles.length]} frustumCulled={false}>
+                            <meshBasicMaterial 
+                                 color="#00FFFF" 
+                                 wireframe={true} 
+                                 transparent={true} 
+                                 opacity={1.0}
+                                 depthWrite={false}
+                                 onBeforeCompile={wireframeShaderHandler}
+                            />
+                        </instancedMesh>
+                    )}
                     {/* Brake Lights - Glowing */}
-                    <instancedMesh ref={vehicleBrakeLightRef} args={[BRAKE_LIGHT_GEO, null, vehicles.length]} frustumCulled={false}>
-                         <meshBasicMaterial toneMapped={false} />
-                    </instancedMesh>
+                    {show('brakeLights') && (
+                        <instancedMesh ref={vehicleBrakeLightRef} args={[BRAKE_LIGHT_GEO, null, vehicles.length]} frustumCulled={false}>
+                             <meshBasicMaterial toneMapped={false} />
+                        </instancedMesh>
+                    )}
                 </group>
             )}
             
             {/* Pedestrians */}
-            {peds.length > 0 && (
+            {showPedestrians && peds.length > 0 && (
                 <group>
-                    <instancedMesh ref={pedPantsRef} args={[PED_GEOS.pantsGeo, null, peds.length]} frustumCulled={false}>
+                    <instancedMesh ref={pedPantsRef} args={[PED_GEOS.pantsGeo, null, peds.length]} frustumCulled={false} {...pick(peds)}>
                          <meshStandardMaterial color="#333" />
                     </instancedMesh>
-                    <instancedMesh ref={pedShirtRef} args={[PED_GEOS.shirtGeo, null, peds.length]} frustumCulled={false}>
+                    <instancedMesh ref={pedShirtRef} args={[PED_GEOS.shirtGeo, null, peds.length]} frustumCulled={false} {...pick(peds)}>
                          <meshStandardMaterial />
                     </instancedMesh>
-                    <instancedMesh ref={pedSkinRef} args={[PED_GEOS.skinGeo, null, peds.length]} frustumCulled={false}>
+                    <instancedMesh ref={pedSkinRef} args={[PED_GEOS.skinGeo, null, peds.length]} frustumCulled={false} {...pick(peds)}>
                          <meshStandardMaterial color="#f0d5be" />
                     </instancedMesh>
                 </group>
             )}
             
             {/* Cyclists */}
-            {cyclists.length > 0 && (
+            {showCyclists && cyclists.length > 0 && (
                 <group>
-                    <instancedMesh ref={cycFrameRef} args={[CYC_GEOS.frameGeo, null, cyclists.length]} frustumCulled={false}>
+                    <instancedMesh ref={cycFrameRef} args={[CYC_GEOS.frameGeo, null, cyclists.length]} frustumCulled={false} {...pick(cyclists)}>
                          <meshStandardMaterial color="#555" metalness={0.8} roughness={0.3} />
                     </instancedMesh>
-                    <instancedMesh ref={cycWheelRef} args={[CYC_GEOS.wheelGeo, null, cyclists.length]} frustumCulled={false}>
+                    <instancedMesh ref={cycWheelRef} args={[CYC_GEOS.wheelGeo, null, cyclists.length]} frustumCulled={false} {...pick(cyclists)}>
                          <meshStandardMaterial color="#222" />
                     </instancedMesh>
-                    <instancedMesh ref={cycClothesRef} args={[CYC_GEOS.clothesGeo, null, cyclists.length]} frustumCulled={false}>
+                    <instancedMesh ref={cycClothesRef} args={[CYC_GEOS.clothesGeo, null, cyclists.length]} frustumCulled={false} {...pick(cyclists)}>
                           <meshStandardMaterial />
                     </instancedMesh>
-                     <instancedMesh ref={cycSkinRef} args={[CYC_GEOS.skinGeo, null, cyclists.length]} frustumCulled={false}>
+                     <instancedMesh ref={cycSkinRef} args={[CYC_GEOS.skinGeo, null, cyclists.length]} frustumCulled={false} {...pick(cyclists)}>
                           <meshStandardMaterial color="#f0d5be" />
                     </instancedMesh>
-                    <instancedMesh ref={cycWireframeRef} args={[BOX_GEO_BOTTOM, null, cyclists.length]} frustumCulled={false}>
-                       <meshBasicMaterial 
-                            color="#34A853" 
-                            wireframe={true} 
-                            transparent={true} 
-                            opacity={1.0}
-                            depthWrite={false}
-                            onBeforeCompile={wireframeShaderHandler}
-                       />
-                   </instancedMesh>
+                    {show('wireframes') && (
+                        <instancedMesh ref={cycWireframeRef} args={[BOX_GEO_BOTTOM, null, cyclists.length]} frustumCulled={false}>
+                           <meshBasicMaterial 
+                                color="#34A853" 
+                                wireframe={true} 
+                                transparent={true} 
+                                opacity={1.0}
+                                depthWrite={false}
+                                onBeforeCompile={wireframeShaderHandler}
+                           />
+                       </instancedMesh>
+                    )}
                 </group>
             )}
         </group>
     );
 });
 
-// AgentItem only used for SDC now
-function AgentItem({ agent, frameRef }) {
+// AgentItem only used for SDC now. Pointer handlers (onClick etc.) go on its group.
+function AgentItem({ agent, frameRef, showBrakeLights = true, ...pointerHandlers }) {
     const groupRef = useRef();
     const bodyRef = useRef();
     const [isBraking, setIsBraking] = React.useState(false);
@@ -672,15 +979,15 @@ function AgentItem({ agent, frameRef }) {
     });
 
     return (
-        <group ref={groupRef}>
+        <group ref={groupRef} {...pointerHandlers}>
              <group ref={bodyRef}>
                 {agent.isSdc ? (
-                        <WaymoCar dims={agent.dims} isBraking={isBraking} />
+                        <WaymoCar dims={agent.dims} isBraking={showBrakeLights && isBraking} />
                 ) : (
                     // Fallback for non-instanced non-SDC (should be covered by othersMesh)
                     <mesh> 
                         <boxGeometry args={[agent.dims[0], agent.dims[1], agent.dims[2]]} />
-                        <meshStandardMaterial color={new THREE.Color().setHex(getTypeColor(agent.type))} />
+                        <meshStandardMaterial color={new THREE.Color().setHex(agentTypeColor(agent.type))} />
                     </mesh>
                 )}
              </group>
@@ -693,13 +1000,3 @@ function AgentItem({ agent, frameRef }) {
         </group>
     );
 }
-
-function getTypeColor(type) {
-  switch(type) {
-    case 1: return 0x4285F4;
-    case 2: return 0xFF9800;
-    case 3: return 0xFBBC04;
-    case 4: return 0x34A853;
-    default: return 0x808080;
-  }
-}
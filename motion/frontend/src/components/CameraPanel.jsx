@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { CAMERA_MODES, FREE_MODE, TUNABLE_PARAMS, modeParams, modeSlug, sanitizeCameraSetting } from '../constants/cameraModes';
+
+const keepFocus = (e) => e.preventDefault();
+
+const AUTO = 'auto';
+
+// Pick a camera mode by hand, tweak its offsets live and save / recall / share bookmarks.
+// `manual` is the current manual setting (null while the automatic pick is active).
+export function CameraPanel({ manual, onChange, bookmarks, onSave, onRecall, onDelete, onShare, onClose }) {
+    const [name, setName] = useState('');
+    // Param fields being edited, as typed ("-", "1." ...): `${id}.${index}` -> string
+    const [drafts, setDrafts] = useState({});
+
+    const mode = manual ? manual.mode : AUTO;
+    const values = manual && manual.mode !== FREE_MODE ? modeParams(manual.mode, manual.params) : {};
+
+    const pickMode = (e) => {
+        const value = e.target.value;
+        if (value === AUTO) onChange(null);
+        else if (value === FREE_MODE) onChange({ mode: FREE_MODE });
+        else onChange({ mode: value, params: {} });
+        e.target.blur();
+    };
+
+    const editParam = (id, index, raw) => setDrafts((d) => ({ ...d, [`${id}.${index}`]: raw }));
+
+    // Applies a field's draft on blur / Enter; anything sanitizeCameraSetting rejects reverts to the current value
+    const commitParam = (id, index) => {
+        const key = `${id}.${index}`;
+        if (!(key in drafts)) return;
+        const raw = drafts[key];
+        setDrafts((d) => {
+            const rest = { ...d };
+            delete rest[key];
+            return rest;
+        });
+
+        const value = raw.trim() === '' ? NaN : Number(raw);
+        const current = values[id];
+        const next = Array.isArray(current) ? current.map((v, i) => (i === index ? value : v)) : value;
+        const setting = sanitizeCameraSetting({ ...manual, params: { ...manual.params, [id]: next } });
+        if (setting && id in setting.params) onChange(setting);
+    };
+
+    const save = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        onSave(name.trim());
+        setName('');
+    };
+
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                top: 20,
+                right: 300,
+                width: 260,
+                maxHeight: 'calc(100vh - 120px)',
+                overflowY: 'auto',
+                padding: '12px 14px',
+                background: 'rgba(0, 0, 0, 0.7)',
+                borderRadius: 6,
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 12,
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+                <span style={{ fontWeight: 'bold' }}>Camera</span>
+                <button onMouseDown={keepFocus} onClick={onClose} style={linkButtonStyle}>✕</button>
+            </div>
+
+            <select value={mode} onChange={pickMode} style={{ ...fieldStyle, width: '100%' }}>
+                <option value={AUTO} style={optionStyle}>Auto (per scenario)</option>
+                {CAMERA_MODES.map((m) => (
+                    <option key={m.name} value={modeSlug(m.name)} style={optionStyle}>{m.name}</option>
+                ))}
+                <option value={FREE_MODE} style={optionStyle}>Free orbit</option>
+            </select>
+
+            {mode === FREE_MODE && (
+                <div style={{ marginTop: 6, opacity: 0.7 }}>Drag to orbit; the view moves along with the SDC or followed agent.</div>
+            )}
+
+            {Object.keys(values).length > 0 && (
+                <div style={{ marginTop: 8 }}>
+                    {TUNABLE_PARAMS.filter(({ id }) => id in values).map(({ id, label }) => {
+                        const list = Array.isArray(values[id]) ? values[id] : [values[id]];
+                        return (
+                            <div key={id} style={{ display: 'flex', alignItems: 'center', gap: 4, marginBottom: 4 }}>
+                                <span style={{ width: 60 }}>{label}</span>
+                                {list.map((v, i) => (
+                                    <input
+                                        key={i}
+                                        type="text"
+                                        inputMode="decimal"
+                                        value={drafts[`${id}.${i}`] ?? v}
+                                        onChange={(e) => editParam(id, i, e.target.value)}
+                                        onBlur={() => commitParam(id, i)}
+                                        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                                        style={{ ...fieldStyle, width: 0, flex: 1 }}
+                                        title={list.length === 3 ? ['right', 'forward', 'up'][i] : label}
+                                    />
+                                ))}
+                            </div>
+                        );
+                    })}
+                    <button onMouseDown={keepFocus} onClick={() => onChange({ ...manual, params: {} })} style={{ ...linkButtonStyle, marginLeft: 0 }}>
+                        reset offsets
+                    </button>
+                </div>
+            )}
+
+            <div style={{ marginTop: 12, marginBottom: 4, fontWeight: 'bold' }}>Bookmarks</div>
+            <form onSubmit={save} style={{ display: 'flex', gap: 4 }}>
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Name this view"
+                    style={{ ...fieldStyle, flex: 1 }}
+                />
+                <button type="submit" disabled={!name.trim()} style={fieldStyle}>save</button>
+            </form>
+            {bookmarks.length === 0 && <div style={{ marginTop: 6, opacity: 0.5 }}>No bookmarks yet</div>}
+            {bookmarks.map((bookmark) => (
+                <div key={bookmark.name} style={{ display: 'flex', alignItems: 'center', marginTop: 4 }}>
+                    <button
+                        onMouseDown={keepFocus}
+                        onClick={() => onRecall(bookmark)}
+                        style={{ ...linkButtonStyle, marginLeft: 0, opacity: 1, flex: 1, textAlign: 'left' }}
+                        title={bookmark.mode === FREE_MODE ? 'Free orbit pose' : bookmark.mode}
+                    >
+                        {bookmark.name}
+                    </button>
+                    <button onMouseDown={keepFocus} onClick={() => onShare(bookmark)} style={linkButtonStyle} title="Copy a link to this view">link</button>
+                    <button onMouseDown={keepFocus} onClick={() => onDelete(bookmark.name)} style={linkButtonStyle} title="Delete">✕</button>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+const fieldStyle = {
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: 3,
+    color: 'white',
+    fontFamily: 'monospace',
+    fontSize: 12,
+    padding: '2px 4px',
+};
+
+const optionStyle = { color: 'black' };
+
+const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: 'white',
+    opacity: 0.7,
+    fontFamily: 'monospace',
+    cursor: 'pointer',
+    marginLeft: 6,
+};
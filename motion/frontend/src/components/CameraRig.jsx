@@ -1,43 +1,64 @@
-import { useMemo, useEffect } from 'react';
+import { useMemo, useEffect, useRef, useImperativeHandle } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
-
-const BASE_MODES = [
-    // Standard Follows - High Priority (Good map visibility)
-    { name: 'Follow (High)', type: 'follow', offset: [0, -5, 10], lookAtOffset: [0, 5, 0], weight: 10 },
-    { name: 'Follow (Low)', type: 'follow', offset: [0, -8, 2], lookAtOffset: [0, 5, 1], weight: 3 },
-    
-    // Technical / Mechanical - Low Priority (Focus on vehicle parts)
-    { name: 'Roof Cam (T-Cam)', type: 'relative', offset: [0, 0, 1.8], lookAtOffset: [0, 20, 0], weight: 1 },
-    { name: 'Under-Chassis', type: 'relative', offset: [0, 1.5, 0.3], lookAtOffset: [0, 10, 0.3], weight: 1 },
-    { name: 'Wheel Cam', type: 'relative', offset: [1.1, 0.8, 0.4], lookAtOffset: [1.1, 5, 0.4], weight: 1 },
-    
-    // Interior / POV - Low Priority
-    { name: 'Driver POV', type: 'relative', offset: [-0.4, 0.2, 1.1], lookAtOffset: [0, 10, 1], weight: 1 },
-    { name: 'Passenger Seat', type: 'relative', offset: [0.4, 0.2, 1.1], lookAtOffset: [0, 10, 1], weight: 1 },
-    
-    // Broadcast / Cinematic - High/Med Priority
-    { name: 'TV Helicopter', type: 'follow', offset: [15, -15, 15], lookAtOffset: [0, 10, 0], weight: 10 },
-    { name: 'Reverse Chase', type: 'relative', offset: [0, 10, 2], lookAtOffset: [0, -10, 1], weight: 3 },
-    { name: 'Cinematic Pan', type: 'fixed_track', weight: 5 }, 
-    { name: 'Spider Cam', type: 'orbit', radius: 20, height: 15, speed: 0.3, weight: 10 }, // Great map view
-
-    // Stylized - High Priority
-    { name: 'Isometric (Arcade)', type: 'isometric', offset: [20, -20, 20], weight: 8 }, 
-    { name: 'Top Down (Static)', type: 'static_top', height: 40, weight: 8 },
-];
-
-export function CameraRig({ map, agents, frameRef, center, variant, isAuto = true, onCameraChange }) {
+import { CAMERA_MODES, FREE_MODE, findCameraMode, modeSlug } from '../constants/cameraModes';
+
+// Seconds to glide from the old anchor to the new one when the followed agent changes
+const HANDOFF_SECONDS = 1.0;
+
+// Camera anchor steps for a parsed agent. Invalid (null) steps hold the nearest valid pose,
+// so the camera pauses through gaps instead of jumping.
+const agentCameraTrajectory = (agent) => {
+    const firstValid = agent.trajectory.findIndex(Boolean);
+    if (firstValid === -1) return agent.trajectory.map(() => ({ pos: new THREE.Vector3(), yaw: 0 }));
+
+    let last = null;
+    const steps = agent.trajectory.map(s => (last = s ? { pos: new THREE.Vector3(s.x, s.y, s.z), yaw: s.yaw } : last));
+    for (let t = 0; t < firstValid; t++) steps[t] = steps[firstValid];
+    return steps;
+};
+
+// World point at [right, forward, up] from `pos` in the frame of heading `yaw`
+const fromAnchorFrame = (pos, yaw, [r, f, u]) => new THREE.Vector3(
+    pos.x + r * Math.sin(yaw) + f * Math.cos(yaw),
+    pos.y - r * Math.cos(yaw) + f * Math.sin(yaw),
+    pos.z + u
+);
+
+// Inverse of fromAnchorFrame, rounded to centimeters for bookmarks
+const toAnchorFrame = (pos, yaw, point) => {
+    const dx = point.x - pos.x;
+    const dy = point.y - pos.y;
+    const round = (v) => Math.round(v * 100) / 100;
+    return [
+        round(dx * Math.sin(yaw) - dy * Math.cos(yaw)),
+        round(dx * Math.cos(yaw) + dy * Math.sin(yaw)),
+        round(point.z - pos.z),
+    ];
+};
+
+// `forcedMode` (a mode name or slug, from ?camera=) replaces the automatic pick.
+// `cycle` steps through the available modes starting from that pick (keyboard C).
+// `targetId` (a state/id) makes every mode track that agent instead of the SDC.
+// `manual` overrides all of that with a picked mode: { mode: slug, params } with tweaked
+// offsets, or { mode: FREE_MODE, pose? } for free orbiting, starting from `pose` if given.
+// `apiRef.current.capturePose()` returns the current view as a pose relative to the anchor.
+export function CameraRig({ map, agents, frameRef, center, variant, isAuto = true, onCameraChange, cycle = 0, forcedMode = null, targetId = null, manual = null, apiRef }) {
     const { camera } = useThree();
+    const controls = useThree((state) => state.controls);
+
+    // Followed agent's index in `agents` (which matches the raw feature order), -1 for the SDC
+    const targetIndex = useMemo(() => {
+        if (targetId === null || !agents) return -1;
+        return agents.findIndex(a => a.id === targetId);
+    }, [agents, targetId]);
     
     // 1. Analyze Scenario (SDC + Pedestrians)
     const scenarioData = useMemo(() => {
          if (!map) return null;
 
          const getVal = (key) => { 
-             const feat = map.get(key);
-             if (!feat) return [];
-             return feat.floatList?.valueList || feat.int64List?.valueList || [];
+             return map.get(key) || [];
          };
          
          const isSdcList = getVal('state/is_sdc');
@@ -136,9 +157,9 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
 
     // 2. Select Mode
     const activeMode = useMemo(() => {
-        if (!scenarioData || !agents) return BASE_MODES[0];
+        if (!scenarioData || !agents) return CAMERA_MODES[0];
 
-        let availableModes = [...BASE_MODES];
+        let availableModes = [...CAMERA_MODES];
         
         // Find SDC agent
         const sdcAgent = agents.find(a => a.isSdc);
@@ -197,34 +218,12 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
                  }
             });
 
-            // Add modes for valid pedestrians
-            // Limit to max 3 to avoid clutter? Or just all valid?
-            // Previous code used modulo to pick from indices.
-            // Let's take up to 3 valid ones.
+            // Pedestrian POV for up to 3 of them; targetIndex is the pedestrian's index in `agents`.
+            // Every mode is framed around an anchor trajectory (agentCameraTrajectory of the SDC or the
+            // followed agent); when the followed agent changes, the anchor blends over HANDOFF_SECONDS.
             for (let i = 0; i < Math.min(3, validPedestrians.length); i++) {
-                 // Find original index if needed, but we can pass object if we refactor.
-                 // Current logic expects targetIndex which is index in agents arrays?
-                 // Wait, scenarioData.pedestrianIndices were indices in the raw arrays (0..count-1).
-                 // My parsed agents have `id`.
-                 // But `parseAgent` inside `trajectories` useMemo uses `map.get`.
-                 // So we need the original index.
-
-                 // Reverse lookup index from id?
-                 // agents array is built iterating 0..count-1.
-                 // So I need to know the index 'i' from the agents loop.
-                 // I didn't save the index in parsedAgents.
-
-                 // Quick fix: parsedAgents array order matches raw order?
-                 // In Scene.jsx: for (let i = 0; i < count; i++) { agents.push(...) }
-                 // Yes, it matches. So I can find the index in `agents` array and use that?
-                 // No, `parseAgent` uses `agentIndex` to index into valueLists.
-                 // So `targetIndex` MUST be the index in the raw arrays.
-                 // Since `agents` is 1:1 with raw arrays (filtered? No, looks like it pushes for every i).
-                 // "if (count === 0) return []; ... for (let i = 0; i < count; i++)"
-                 // Yes, `agents` array indices correspond exactly to raw data indices.
-
                  const ped = validPedestrians[i];
-                 const idx = agents.indexOf(ped); // This is the index.
+                 const idx = agents.indexOf(ped);
 
                  availableModes.push({
                     name: 'Pedestrian POV', 
@@ -253,6 +252,23 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
             }
             selectionValue -= w;
         }
+
+        if (forcedMode) {
+            const forced = availableModes.find(m => modeSlug(m.name) === modeSlug(forcedMode));
+            if (forced) selected = forced;
+            else console.warn(`Unknown camera "${forcedMode}", expected one of: ${availableModes.map(m => modeSlug(m.name)).join(', ')}`);
+        }
+
+        if (cycle) {
+            const n = availableModes.length;
+            selected = availableModes[(((availableModes.indexOf(selected) + cycle) % n) + n) % n];
+        }
+
+        if (manual) {
+            if (manual.mode === FREE_MODE) return { name: 'Free Orbit', type: 'free' };
+            const picked = findCameraMode(manual.mode);
+            if (picked) selected = { ...picked, ...manual.params };
+        }
         
         // If Fixed Track, we need to pick a spot relative to Start
         // But we want it to be somewhat random per scenario play.
@@ -276,7 +292,7 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
         }
 
         return selected;
-    }, [scenarioData, agents, variant]);
+    }, [scenarioData, agents, variant, cycle, forcedMode, manual]);
 
     // 3. Notify Parent of Camera Name change
     useEffect(() => {
@@ -285,54 +301,40 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
         }
     }, [activeMode, onCameraChange]);
 
-    // 3. Parse Trajectories
+    // 3. Camera Trajectories (from the parsed agents, which match the raw feature order)
     const trajectories = useMemo(() => {
-        if (!scenarioData) return null;
-        const { map, sdcIndex, count } = scenarioData;
-
-        const getTraj = (agentIndex, valKey) => {
-             const getVal = (key) => {
-                 const feat = map.get(key);
-                 if (!feat) return [];
-                 return feat.floatList?.valueList || feat.int64List?.valueList || [];
-             };
-             const past = getVal(`state/past/${valKey}`);
-             const curr = getVal(`state/current/${valKey}`);
-             const future = getVal(`state/future/${valKey}`);
-             
-             const pastLen = past.length / count;
-             const futureLen = future.length / count;
-             
-             const vals = [];
-             for(let t=0; t<pastLen; t++) vals.push(past[agentIndex * pastLen + t]);
-             vals.push(curr[agentIndex]);
-             for(let t=0; t<futureLen; t++) vals.push(future[agentIndex * futureLen + t]);
-             return vals;
-        };
-
-        const parseAgent = (idx) => {
-            const xs = getTraj(idx, 'x');
-            const ys = getTraj(idx, 'y');
-            const zs = getTraj(idx, 'z');
-            const yaws = getTraj(idx, 'bbox_yaw'); 
-            const [cx, cy, cz] = center;
-            
-            return xs.map((x, i) => ({
-                 pos: new THREE.Vector3(x - cx, ys[i] - cy, zs[i] - cz),
-                 yaw: yaws[i] || 0
-            }));
-        };
+        if (!scenarioData || !agents || !agents[scenarioData.sdcIndex]) return null;
 
-        const sdcTraj = parseAgent(sdcIndex);
+        const sdcTraj = agentCameraTrajectory(agents[scenarioData.sdcIndex]);
+        // Every mode is framed around the anchor: the followed agent, or the SDC
+        const anchorTraj = targetIndex >= 0 ? agentCameraTrajectory(agents[targetIndex]) : sdcTraj;
         
         let pedTraj = null;
         if (activeMode.type === 'pedestrian' && activeMode.targetIndex !== undefined) {
-            pedTraj = parseAgent(activeMode.targetIndex);
+            pedTraj = agentCameraTrajectory(agents[activeMode.targetIndex]);
         }
 
-        return { sdc: sdcTraj, ped: pedTraj };
+        return { sdc: sdcTraj, anchor: anchorTraj, ped: pedTraj, pedIsAnchor: activeMode.targetIndex === targetIndex };
+
+    }, [scenarioData, activeMode, agents, targetIndex]);
 
-    }, [scenarioData, activeMode, center]);
+    // Smooth hand-off between follow targets: the last anchor pose, and the blend in progress
+    const lastAnchorRef = useRef(null);
+    const anchorKeyRef = useRef(null);
+    const handoffRef = useRef(null);
+    // Which free-orbit pose has been placed, so it is applied once per recall and scenario
+    const placedPoseRef = useRef(null);
+
+    useImperativeHandle(apiRef, () => ({
+        capturePose: () => {
+            const anchor = lastAnchorRef.current;
+            if (!anchor || !controls) return null;
+            return {
+                offset: toAnchorFrame(anchor.pos, anchor.yaw, camera.position),
+                lookAtOffset: toAnchorFrame(anchor.pos, anchor.yaw, controls.target),
+            };
+        },
+    }), [camera, controls]);
 
     // 4. Animation Loop
     useFrame((state) => {
@@ -340,8 +342,8 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
         
         const currentFrame = frameRef.current;
         const idx1 = Math.floor(currentFrame);
-        if (idx1 >= trajectories.sdc.length) return;
-        const idx2 = Math.min(idx1 + 1, trajectories.sdc.length - 1);
+        if (idx1 >= trajectories.anchor.length) return;
+        const idx2 = Math.min(idx1 + 1, trajectories.anchor.length - 1);
         const alpha = currentFrame - idx1;
         
         const interpolate = (traj) => {
@@ -364,11 +366,54 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
             return { pos: p, yaw: y };
         };
         
-        const carState = interpolate(trajectories.sdc);
+        const carState = interpolate(trajectories.anchor);
+        const time = state.clock.getElapsedTime();
+
+        // Switching targets within a scenario glides from the previous anchor instead of cutting
+        const anchorKey = anchorKeyRef.current;
+        if (!anchorKey || anchorKey.scenarioData !== scenarioData || anchorKey.targetIndex !== targetIndex) {
+            if (anchorKey && anchorKey.scenarioData === scenarioData && lastAnchorRef.current) {
+                handoffRef.current = { ...lastAnchorRef.current, start: time };
+            } else {
+                handoffRef.current = null;
+            }
+            anchorKeyRef.current = { scenarioData, targetIndex };
+        }
+        if (handoffRef.current) {
+            const k = (time - handoffRef.current.start) / HANDOFF_SECONDS;
+            if (k >= 1) {
+                handoffRef.current = null;
+            } else {
+                const e = k * k * (3 - 2 * k); // smoothstep
+                let dYaw = carState.yaw - handoffRef.current.yaw;
+                while (dYaw > Math.PI) dYaw -= 2 * Math.PI;
+                while (dYaw < -Math.PI) dYaw += 2 * Math.PI;
+                carState.pos = handoffRef.current.pos.clone().lerp(carState.pos, e);
+                carState.yaw = handoffRef.current.yaw + dYaw * e;
+            }
+        }
+        const prevAnchor = lastAnchorRef.current;
+        lastAnchorRef.current = { pos: carState.pos.clone(), yaw: carState.yaw };
         
         const controls = state.controls;
         if (!controls) return;
 
+        if (activeMode.type === 'free') {
+            const placed = placedPoseRef.current;
+            if (manual.pose && (!placed || placed.manual !== manual || placed.scenarioData !== scenarioData)) {
+                camera.position.copy(fromAnchorFrame(carState.pos, carState.yaw, manual.pose.offset));
+                controls.target.copy(fromAnchorFrame(carState.pos, carState.yaw, manual.pose.lookAtOffset));
+                placedPoseRef.current = { manual, scenarioData };
+            } else if (prevAnchor) {
+                // Carry the user's view along with the anchor
+                const delta = carState.pos.clone().sub(prevAnchor.pos);
+                camera.position.add(delta);
+                controls.target.add(delta);
+            }
+            controls.update();
+            return;
+        }
+
         let targetPos = carState.pos.clone();
         let camPos = new THREE.Vector3();
 
@@ -376,7 +421,12 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
              const pedState = interpolate(trajectories.ped);
              camPos.copy(pedState.pos);
              camPos.z += 1.7; 
-             targetPos.copy(carState.pos);
+             if (trajectories.pedIsAnchor) {
+                 // Following this pedestrian: look where they're heading
+                 targetPos.set(Math.cos(pedState.yaw), Math.sin(pedState.yaw), 0).multiplyScalar(10).add(pedState.pos);
+             } else {
+                 targetPos.copy(carState.pos);
+             }
              targetPos.z += 1.0; 
 
         } else if (activeMode.type === 'fixed_track') {
@@ -410,7 +460,6 @@ export function CameraRig({ map, agents, frameRef, center, variant, isAuto = tru
              
         } else {
             // Standard Modes
-            const time = state.clock.getElapsedTime();
             const carPos = carState.pos;
             const carYaw = carState.yaw;
              
@@ -0,0 +1,79 @@
+import React from 'react';
+import { COLOR_MODES, colorToCss, findColorMode } from '../constants/colorModes';
+
+const swatchStyle = (color) => ({
+    display: 'inline-block',
+    width: 10,
+    height: 10,
+    marginRight: 4,
+    borderRadius: 2,
+    background: colorToCss(color),
+    verticalAlign: 'middle',
+});
+
+// Agent color mode picker with the active mode's legend (see constants/colorModes.js)
+export function ColorLegend({ colorMode, onChange }) {
+    const mode = findColorMode(colorMode);
+    const { swatches, ramp, labels, note } = mode.legend;
+
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                top: 20,
+                left: '50%',
+                transform: 'translateX(-50%)',
+                display: 'flex',
+                alignItems: 'center',
+                gap: 10,
+                padding: '6px 10px',
+                background: 'rgba(0, 0, 0, 0.55)',
+                borderRadius: 6,
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 12,
+            }}
+        >
+            <select
+                value={mode.id}
+                onChange={(e) => {
+                    onChange(e.target.value);
+                    e.target.blur();
+                }}
+                style={selectStyle}
+                title="Agent colors (V)"
+            >
+                {COLOR_MODES.map((m) => (
+                    <option key={m.id} value={m.id} style={{ color: 'black' }}>{m.label}</option>
+                ))}
+            </select>
+
+            {swatches && swatches.map(({ label, color }) => (
+                <span key={label}>
+                    <span style={swatchStyle(color)} />
+                    {label}
+                </span>
+            ))}
+
+            {ramp && (
+                <span style={{ display: 'inline-flex', flexDirection: 'column', width: 160 }}>
+                    <span style={{ height: 8, borderRadius: 2, background: `linear-gradient(to right, ${ramp.map(colorToCss).join(', ')})` }} />
+                    <span style={{ display: 'flex', justifyContent: 'space-between', opacity: 0.8 }}>
+                        {labels.map((label) => <span key={label}>{label}</span>)}
+                    </span>
+                </span>
+            )}
+
+            {note && <span style={{ opacity: 0.6 }}>{note}</span>}
+        </div>
+    );
+}
+
+const selectStyle = {
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: 4,
+    color: 'white',
+    fontFamily: 'monospace',
+    padding: '3px 4px',
+};
@@ -0,0 +1,83 @@
+import React from 'react';
+import { LAYERS } from '../constants/layers';
+
+const keepFocus = (e) => e.preventDefault();
+
+function LayerToggle({ label, checked, disabled, onChange, hint }) {
+    return (
+        <label
+            onMouseDown={keepFocus}
+            style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '2px 0', cursor: 'pointer', opacity: disabled ? 0.4 : 1 }}
+        >
+            <input type="checkbox" checked={checked} disabled={disabled} onChange={onChange} />
+            <span style={{ flex: 1 }}>{label}</span>
+            {hint && <span style={{ opacity: 0.5 }}>{hint}</span>}
+        </label>
+    );
+}
+
+// Side panel with a checkbox per scene layer and sub-layer (see constants/layers.js)
+export function LayerPanel({ visibility, onToggle, onReset, onClose }) {
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                top: 20,
+                right: 20,
+                width: 240,
+                maxHeight: 'calc(100vh - 120px)',
+                overflowY: 'auto',
+                padding: '12px 14px',
+                background: 'rgba(0, 0, 0, 0.7)',
+                borderRadius: 6,
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 12,
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+                <span style={{ fontWeight: 'bold' }}>Layers</span>
+                <span>
+                    <button onMouseDown={keepFocus} onClick={onReset} style={linkButtonStyle}>reset</button>
+                    <button onMouseDown={keepFocus} onClick={onClose} style={linkButtonStyle}>✕</button>
+                </span>
+            </div>
+            {LAYERS.map((layer) => (
+                <div key={layer.id} style={{ marginBottom: 4 }}>
+                    <LayerToggle
+                        label={layer.label}
+                        hint={layer.key}
+                        checked={visibility[layer.id]}
+                        onChange={() => onToggle(layer.id)}
+                    />
+                    {layer.children && (
+                        <div style={{ paddingLeft: 18 }}>
+                            {layer.children.map((child) => {
+                                const id = `${layer.id}.${child.id}`;
+                                return (
+                                    <LayerToggle
+                                        key={id}
+                                        label={child.label}
+                                        checked={visibility[id]}
+                                        disabled={!visibility[layer.id]}
+                                        onChange={() => onToggle(id)}
+                                    />
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: 'white',
+    opacity: 0.7,
+    fontFamily: 'monospace',
+    cursor: 'pointer',
+    marginLeft: 6,
+};
@@ -1,8 +1,10 @@
 import React, { useRef, useState } from 'react';
 import * as THREE from 'three';
 import { useFrame } from '@react-three/fiber';
+import { seededRandom } from '../utils/random';
 
-export function Lightning() {
+// `seed` (the scenario id) makes the flash timing reproducible
+export function Lightning({ seed = '' }) {
     const lightRef = useRef();
     const [intensity, setIntensity] = useState(0);
 
@@ -13,15 +15,19 @@ export function Lightning() {
     // State to track next flash
     const nextFlashTime = useRef(0);
     
+    const rand = useRef(null);
+
     // Init first flash time
     React.useEffect(() => {
-        nextFlashTime.current = Math.random() * flashInterval;
-    }, []);
+        rand.current = seededRandom(seed);
+        nextFlashTime.current = rand.current() * flashInterval;
+    }, [seed]);
     const isFlashing = useRef(false);
     const flashStartTime = useRef(0);
 
     useFrame((state) => {
         const time = state.clock.elapsedTime;
+        if (!rand.current) return;
 
         if (!isFlashing.current) {
             // Waiting to flash
@@ -29,7 +35,7 @@ export function Lightning() {
                 isFlashing.current = true;
                 flashStartTime.current = time;
                 // Schedule next
-                nextFlashTime.current = time + Math.random() * flashInterval + 2; 
+                nextFlashTime.current = time + rand.current() * flashInterval + 2; 
             }
         } 
         
@@ -42,7 +48,7 @@ export function Lightning() {
                  // Flicker logic
                  // 3 peak pulses
                  const envelope = Math.sin((age / flashDuration) * Math.PI);
-                 const jitter = Math.random() > 0.5 ? 1 : 0; 
+                 const jitter = rand.current() > 0.5 ? 1 : 0; 
                  // Super bright flash
                  setIntensity(envelope * 50 * jitter); 
              }
@@ -0,0 +1,115 @@
+import React, { useMemo, useState } from 'react';
+import { agentTypeName } from '../constants/agents';
+
+const keepFocus = (e) => e.preventDefault();
+
+const fmt = (value) => (value === null ? '-' : value.toFixed(2));
+const pct = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`);
+const flag = (value) => (value === null ? '-' : value ? 'yes' : 'no');
+
+const BAD_COLOR = '#ff6e6e';
+
+// Worst agents first: largest minFDE, agents the horizon doesn't cover last
+const byMinFdeDesc = (seconds) => (a, b) => {
+    const fa = a.byHorizon[seconds].minFDE;
+    const fb = b.byHorizon[seconds].minFDE;
+    if (fa === null || fb === null) return (fa === null) - (fb === null);
+    return fb - fa;
+};
+
+// Scenario and per-agent prediction metrics (utils/metrics.js) at one horizon. Clicking an
+// agent row hands it to `onPickAgent`.
+export function MetricsPanel({ metrics, model, selectedId, onPickAgent, onClose }) {
+    const [seconds, setSeconds] = useState(metrics.horizons[metrics.horizons.length - 1].seconds);
+    const rows = useMemo(() => [...metrics.agents].sort(byMinFdeDesc(seconds)), [metrics, seconds]);
+    const summary = metrics.scenario[seconds];
+
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                bottom: 70,
+                right: 20,
+                width: 380,
+                maxHeight: '40vh',
+                overflowY: 'auto',
+                padding: '12px 14px',
+                background: 'rgba(0, 0, 0, 0.7)',
+                borderRadius: 6,
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 12,
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+                <span style={{ fontWeight: 'bold' }}>Metrics · {model || 'model'}</span>
+                <span>
+                    {metrics.horizons.map((horizon) => (
+                        <button
+                            key={horizon.seconds}
+                            onMouseDown={keepFocus}
+                            onClick={() => setSeconds(horizon.seconds)}
+                            style={{ ...linkButtonStyle, opacity: horizon.seconds === seconds ? 1 : 0.5, textDecoration: horizon.seconds === seconds ? 'underline' : 'none' }}
+                        >
+                            {horizon.seconds}s
+                        </button>
+                    ))}
+                    <button onMouseDown={keepFocus} onClick={onClose} style={linkButtonStyle}>✕</button>
+                </span>
+            </div>
+
+            <div style={{ whiteSpace: 'pre', marginBottom: 8 }}>
+                {`minADE ${fmt(summary.minADE)} m   minFDE ${fmt(summary.minFDE)} m\n`}
+                {`Miss rate ${pct(summary.missRate)}   Overlap rate ${pct(summary.overlapRate)}\n`}
+                {`${metrics.agents.length} scored agents`}
+                {metrics.unscored > 0 ? `, ${metrics.unscored} not in tracks_to_predict` : ''}
+            </div>
+
+            {rows.length === 0 ? (
+                <div style={{ opacity: 0.6 }}>No predicted agents to score.</div>
+            ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                    <thead>
+                        <tr style={{ opacity: 0.6, textAlign: 'right' }}>
+                            <th style={{ textAlign: 'left', fontWeight: 'normal' }}>Agent</th>
+                            <th style={{ fontWeight: 'normal' }}>minADE</th>
+                            <th style={{ fontWeight: 'normal' }}>minFDE</th>
+                            <th style={{ fontWeight: 'normal' }}>Miss</th>
+                            <th style={{ fontWeight: 'normal' }}>Overlap</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(({ id, agent, byHorizon }) => {
+                            const m = byHorizon[seconds];
+                            return (
+                                <tr
+                                    key={id}
+                                    onMouseDown={keepFocus}
+                                    onClick={() => onPickAgent(agent)}
+                                    title="Select and follow this agent"
+                                    style={{ cursor: 'pointer', textAlign: 'right', background: id === selectedId ? 'rgba(255, 255, 255, 0.15)' : 'none' }}
+                                >
+                                    <td style={{ textAlign: 'left', padding: '2px 0' }}>#{id} {agentTypeName(agent.type)}</td>
+                                    <td>{fmt(m.minADE)}</td>
+                                    <td>{fmt(m.minFDE)}</td>
+                                    <td style={{ color: m.miss ? BAD_COLOR : 'inherit' }}>{flag(m.miss)}</td>
+                                    <td style={{ color: m.overlap ? BAD_COLOR : 'inherit' }}>{flag(m.overlap)}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: 'white',
+    opacity: 0.7,
+    fontFamily: 'monospace',
+    cursor: 'pointer',
+    marginLeft: 6,
+};
@@ -0,0 +1,99 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+import { CURRENT_FRAME } from '../constants/timeline';
+
+const TEMP_COLOR = new THREE.Color();
+
+// Blue (least likely) to red (most likely), relative to the agent's best mode
+const confidenceColor = (t) => TEMP_COLOR.setHSL(0.66 * (1 - t), 1, 0.5);
+
+// Lines sit just above the agent's ground plane
+const groundZ = (agent, z) => (agent ? z - agent.dims[2] / 2 + 0.15 : z + 0.15);
+
+// Multi-modal predictions (parsePredictions) as polylines colored by confidence that fade toward
+// the end of the horizon, with an end-point dot per mode, plus each predicted agent's ground-truth future.
+function PredictionOverlayComponent({ predictions, layers = {} }) {
+    const showGroundTruth = layers.groundTruth !== false;
+
+    const { modeGeometry, endGeometry, truthGeometry } = useMemo(() => {
+        if (!predictions) return {};
+
+        const positions = [];
+        const colors = [];
+        const endPositions = [];
+        const endColors = [];
+        const truth = [];
+
+        for (const { agent, modes } of predictions.agents) {
+            const maxConfidence = Math.max(...modes.map(m => m.confidence)) || 1;
+
+            for (const { confidence, points } of modes) {
+                if (points.length === 0) continue;
+                const t = Math.max(0, confidence / maxConfidence);
+                const color = confidenceColor(t);
+
+                // Start the line at the agent's position on the frame before the first prediction
+                const origin = agent && agent.trajectory[points[0].frame - 1];
+                const line = origin ? [{ x: origin.x, y: origin.y, z: points[0].z }, ...points] : points;
+
+                for (let i = 0; i < line.length - 1; i++) {
+                    const a = line[i];
+                    const b = line[i + 1];
+                    const fade = (k) => (0.3 + 0.7 * t) * (1 - 0.75 * (k / (line.length - 1)));
+                    positions.push(a.x, a.y, groundZ(agent, a.z), b.x, b.y, groundZ(agent, b.z));
+                    colors.push(color.r, color.g, color.b, fade(i), color.r, color.g, color.b, fade(i + 1));
+                }
+
+                const end = points[points.length - 1];
+                endPositions.push(end.x, end.y, groundZ(agent, end.z));
+                endColors.push(color.r, color.g, color.b);
+            }
+
+            // Ground truth from the current frame on, broken at invalid steps
+            if (agent) {
+                for (let f = CURRENT_FRAME; f < agent.trajectory.length - 1; f++) {
+                    const a = agent.trajectory[f];
+                    const b = agent.trajectory[f + 1];
+                    if (!a || !b) continue;
+                    truth.push(a.x, a.y, groundZ(agent, a.z), b.x, b.y, groundZ(agent, b.z));
+                }
+            }
+        }
+
+        const build = (attributes) => {
+            if (attributes.position.length === 0) return null;
+            const geo = new THREE.BufferGeometry();
+            geo.setAttribute('position', new THREE.Float32BufferAttribute(attributes.position, 3));
+            if (attributes.color) geo.setAttribute('color', new THREE.Float32BufferAttribute(attributes.color, attributes.colorSize));
+            return geo;
+        };
+
+        return {
+            modeGeometry: build({ position: positions, color: colors, colorSize: 4 }),
+            endGeometry: build({ position: endPositions, color: endColors, colorSize: 3 }),
+            truthGeometry: build({ position: truth }),
+        };
+    }, [predictions]);
+
+    if (!modeGeometry) return null;
+
+    return (
+        <group>
+            <lineSegments geometry={modeGeometry}>
+                <lineBasicMaterial vertexColors transparent depthWrite={false} toneMapped={false} />
+            </lineSegments>
+            {endGeometry && (
+                <points geometry={endGeometry}>
+                    <pointsMaterial vertexColors size={0.6} sizeAttenuation toneMapped={false} />
+                </points>
+            )}
+            {showGroundTruth && truthGeometry && (
+                <lineSegments geometry={truthGeometry}>
+                    <lineBasicMaterial color="#FFFFFF" transparent opacity={0.85} depthWrite={false} />
+                </lineSegments>
+            )}
+        </group>
+    );
+}
+
+export const PredictionOverlay = React.memo(PredictionOverlayComponent);
@@ -1,6 +1,7 @@
 import React, { useMemo, useRef } from 'react';
 import * as THREE from 'three';
 import { useFrame } from '@react-three/fiber';
+import { mulberry32 } from '../utils/random';
 
 // Shader code
 const vertexShader = `
@@ -42,16 +43,6 @@ const fragmentShader = `
   }
 `;
 
-// Simple LCG
-function mulberry32(a) {
-    return function() {
-      var t = a += 0x6D2B79F5;
-      t = Math.imul(t ^ (t >>> 15), t | 1);
-      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-    }
-}
-
 export function Rain({ count = 10000 }) {
     const materialRef = useRef();
     const height = 50;
@@ -158,14 +158,18 @@ function createRibbonGeometry(points, width, isDashed = false, dashSize = 2, gap
 
 
 
-function RoadGraphComponent({ map, center }) {
+// Lane type -> sub-layer toggle (see constants/layers.js)
+const LANE_LAYERS = { 1: 'freewayLanes', 2: 'surfaceLanes', 3: 'bikeLanes' };
+
+// `layers` toggles sub-layers by id; missing entries count as visible
+function RoadGraphComponent({ map, center, layers = {} }) {
+    const show = (id) => layers[id] !== false;
+
     const { lanes, markings, stopSigns, speedBumps, crosswalks } = useMemo(() => {
         if (!map) return { lanes: {}, markings: [], stopSigns: [], speedBumps: [], crosswalks: [] };
         
         const getVal = (key) => {
-            const feat = map.get(key);
-            if (!feat) return [];
-            return feat.floatList?.valueList || feat.int64List?.valueList || [];
+            return map.get(key) || [];
         };
 
         const xyz = getVal('roadgraph_samples/xyz');
@@ -377,7 +381,7 @@ function RoadGraphComponent({ map, center }) {
     return (
         <group>
             {/* Merged Lanes */}
-            {Object.entries(mergedLanes).map(([type, { geometry, style }]) => (
+            {Object.entries(mergedLanes).filter(([type]) => show(LANE_LAYERS[type])).map(([type, { geometry, style }]) => (
                 <mesh key={`lane-type-${type}`} geometry={geometry}>
                     <meshStandardMaterial 
                         color={style.color} 
@@ -394,7 +398,7 @@ function RoadGraphComponent({ map, center }) {
             ))}
 
             {/* Merged Markings */}
-            {mergedMarkings.map((group, idx) => (
+            {show('markings') && mergedMarkings.map((group, idx) => (
                  <mesh key={`mark-group-${idx}`} geometry={group.geometry} renderOrder={1}>
                      <meshStandardMaterial 
                         color={group.style.color} 
@@ -409,11 +413,11 @@ function RoadGraphComponent({ map, center }) {
                  </mesh>
             ))}
 
-            <Crosswalks crosswalks={crosswalks} />
+            {show('crosswalks') && <Crosswalks crosswalks={crosswalks} />}
 
-            {stopSignMesh && <primitive object={stopSignMesh} />}
+            {show('stopSigns') && stopSignMesh && <primitive object={stopSignMesh} />}
             
-            {speedBumps.map((bump, idx) => (
+            {show('speedBumps') && speedBumps.map((bump, idx) => (
                 <mesh key={`bump-${idx}`} geometry={bump.geometry}>
                     <meshStandardMaterial color="#FFFF00" roughness={0.6} metalness={0.1} />
                 </mesh>
@@ -3,31 +3,39 @@ import * as THREE from 'three';
 import { useFrame } from '@react-three/fiber';
 
 export function SdcPathHighlight({ sdcState, frameRef }) {
-    const { pathGeometry, totalSamples } = useMemo(() => {
-        if (!sdcState) return { pathGeometry: null, totalSamples: 0 };
+    const { pathGeometry, indexStarts } = useMemo(() => {
+        if (!sdcState) return { pathGeometry: null, indexStarts: null };
         
-        const points = sdcState.trajectory.map(p => new THREE.Vector3(p.x, p.y, p.zBox));
+        // One sample per step; null where the SDC is not observed
+        const points = sdcState.trajectory.map(p => (p ? new THREE.Vector3(p.x, p.y, p.zBox) : null));
 
-        if (points.length < 2) return { pathGeometry: null, totalSamples: 0 };
+        if (points.filter(Boolean).length < 2) return { pathGeometry: null, indexStarts: null };
 
         // Optimization: Use raw points directly, similar to RoadGraph
         const width = 2.4; 
         const vertices = [];
         const indices = [];
         const uvs = [];
+        // First index drawn from each sample on, so the path can be trimmed at the current frame
+        const starts = [];
         
         for (let i = 0; i < points.length; i++) {
             const p = points[i];
-            
-            // Calculate tangent
-            let tangent;
-            if (i === 0) {
-                tangent = new THREE.Vector3().subVectors(points[i + 1], p).normalize();
-            } else if (i === points.length - 1) {
-                tangent = new THREE.Vector3().subVectors(p, points[i - 1]).normalize();
-            } else {
-                tangent = new THREE.Vector3().subVectors(points[i + 1], points[i - 1]).normalize();
+            starts.push(indices.length);
+
+            // Invalid steps keep their two vertex slots but get no triangles, leaving a gap in the path
+            if (!p) {
+                vertices.push(0, 0, 0, 0, 0, 0);
+                uvs.push(0, 0, 1, 0);
+                continue;
             }
+            
+            // Calculate tangent from the valid neighbours
+            const prev = points[i - 1] || p;
+            const next = points[i + 1] || p;
+            const tangent = prev === next
+                ? new THREE.Vector3(1, 0, 0)
+                : new THREE.Vector3().subVectors(next, prev).normalize();
 
             const normal = new THREE.Vector3(-tangent.y, tangent.x, 0).normalize();
             
@@ -47,13 +55,14 @@ export function SdcPathHighlight({ sdcState, frameRef }) {
             uvs.push(0, t);
             uvs.push(1, t);
 
-            // Triangles
-            if (i < points.length - 1) {
+            // Triangles, only between consecutive valid steps
+            if (points[i + 1]) {
                 const base = i * 2;
                 indices.push(base, base + 2, base + 1); // Counter-clockwise
                 indices.push(base + 1, base + 2, base + 3);
             }
         }
+        starts.push(indices.length);
         
         const geo = new THREE.BufferGeometry();
         geo.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
@@ -61,7 +70,7 @@ export function SdcPathHighlight({ sdcState, frameRef }) {
         geo.setIndex(indices);
         geo.computeVertexNormals();
         
-        return { pathGeometry: geo, totalSamples: points.length };
+        return { pathGeometry: geo, indexStarts: starts };
 
     }, [sdcState]);
 
@@ -72,23 +81,14 @@ export function SdcPathHighlight({ sdcState, frameRef }) {
     useFrame(() => {
         if (!meshRef.current || !pathGeometry || !frameRef) return;
         
-        // We have Total Frames approx 91 relative to data structure (10 past + 1 curr + 80 future)
-        // 'frame' prop comes from Scene, 0..90.
-        
-        const frame = frameRef.current;
-        const TOTAL_DATA_FRAMES = 91; 
-        const progress = Math.min(Math.max(frame / TOTAL_DATA_FRAMES, 0), 0.99); // Cap slightly
-        
-        // Map progress to start sample
-        const startSample = Math.floor(progress * totalSamples);
-        
-        // Each sample adds 2 triangles = 6 indices.
-        // Start Index should be startSample * 6.
-        const startIndex = startSample * 6;
-        const totalIndices = totalSamples * 6;
-        const count = totalIndices - startIndex;
+        // One sample per data frame (10 past + 1 curr + 80 future); 'frame' comes from Scene, 0..90.
+        // Only the path from the current frame on is drawn.
+        const totalSamples = indexStarts.length - 1;
+        const startSample = Math.min(Math.max(Math.floor(frameRef.current), 0), totalSamples - 1);
+        const startIndex = indexStarts[startSample];
+        const totalIndices = indexStarts[totalSamples];
         
-        meshRef.current.geometry.setDrawRange(startIndex, count);
+        meshRef.current.geometry.setDrawRange(startIndex, totalIndices - startIndex);
     });
 
     if (!pathGeometry) return null;
@@ -0,0 +1,49 @@
+import React from 'react';
+
+// On-screen list of keyboard bindings (see constants/shortcuts.js)
+export function ShortcutHelp({ shortcuts, onClose }) {
+    return (
+        <div
+            onClick={onClose}
+            style={{
+                position: 'absolute',
+                inset: 0,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                background: 'rgba(0, 0, 0, 0.5)',
+                zIndex: 10,
+            }}
+        >
+            <div
+                onClick={(e) => e.stopPropagation()}
+                style={{
+                    minWidth: 320,
+                    padding: '16px 20px',
+                    background: 'rgba(16, 16, 16, 0.95)',
+                    border: '1px solid rgba(255, 255, 255, 0.15)',
+                    borderRadius: 8,
+                    color: 'white',
+                    fontFamily: 'monospace',
+                    fontSize: 13,
+                }}
+            >
+                <div style={{ marginBottom: 12, fontWeight: 'bold' }}>Keyboard shortcuts</div>
+                <table style={{ borderCollapse: 'collapse' }}>
+                    <tbody>
+                        {shortcuts.map((shortcut) => (
+                            <tr key={shortcut.label + shortcut.description}>
+                                <td style={{ padding: '3px 16px 3px 0', whiteSpace: 'nowrap' }}>
+                                    <kbd style={{ padding: '1px 6px', border: '1px solid rgba(255, 255, 255, 0.3)', borderRadius: 3 }}>
+                                        {shortcut.label}
+                                    </kbd>
+                                </td>
+                                <td style={{ padding: '3px 0', opacity: 0.8 }}>{shortcut.description}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
@@ -16,6 +16,12 @@ export function TrafficLightHighlight({ sdcState, trafficLights, frameRef }) {
         // Clamp frame
         const idx = Math.min(Math.max(0, currentFrameIdx), traj.length - 1);
         const sdcPos = traj[idx];
+        // SDC not observed at this step: nothing to anchor the bubble to
+        if (!sdcPos) {
+            groupRef.current.visible = false;
+            visibleRef.current = false;
+            return;
+        }
         const sdcV = sdcPos.speed || 0;
 
         // 1. Position: ALWAYS follow the car roof
@@ -0,0 +1,121 @@
+import React, { useEffect, useRef } from 'react';
+import { CURRENT_FRAME, TOTAL_FRAMES, PLAYBACK_RATES } from '../constants/timeline';
+
+// Past / current / future regions painted under the scrubber track
+const pct = (frame) => `${(frame / (TOTAL_FRAMES - 1)) * 100}%`;
+const TRACK_BACKGROUND = `linear-gradient(to right,
+    rgba(255, 255, 255, 0.15) 0%, rgba(255, 255, 255, 0.15) ${pct(CURRENT_FRAME)},
+    #00e5ff ${pct(CURRENT_FRAME)}, #00e5ff calc(${pct(CURRENT_FRAME)} + 2px),
+    rgba(0, 229, 255, 0.25) calc(${pct(CURRENT_FRAME)} + 2px), rgba(0, 229, 255, 0.25) 100%)`;
+
+const buttonStyle = {
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: 4,
+    color: 'white',
+    fontFamily: 'monospace',
+    padding: '4px 8px',
+    cursor: 'pointer',
+};
+
+// Clicking a control shouldn't leave it focused, or it would swallow keyboard shortcuts
+const keepFocus = (e) => e.preventDefault();
+
+// Play/pause, frame stepping, scrubbing, playback rate and loop. Everything drives the shared
+// `frameRef`; the scrubber follows it imperatively so playback doesn't re-render React.
+export function TransportBar({ frameRef, isPlaying, onTogglePlay, onStep, onSeek, onScrubStart, onScrubEnd, playbackRate, onPlaybackRateChange, loop, onLoopChange }) {
+    const sliderRef = useRef();
+    const labelRef = useRef();
+    const draggingRef = useRef(false);
+
+    // Keep the slider in sync with frameRef
+    useEffect(() => {
+        let raf;
+        const sync = () => {
+            const frame = Math.floor(frameRef.current);
+            if (sliderRef.current && !draggingRef.current && Number(sliderRef.current.value) !== frame) {
+                sliderRef.current.value = frame;
+            }
+            if (labelRef.current) {
+                const offset = frame - CURRENT_FRAME;
+                labelRef.current.innerText = `${frame} / ${TOTAL_FRAMES - 1} (${offset >= 0 ? '+' : ''}${(offset / 10).toFixed(1)}s)`;
+            }
+            raf = requestAnimationFrame(sync);
+        };
+        sync();
+        return () => cancelAnimationFrame(raf);
+    }, [frameRef]);
+
+    const startDrag = () => {
+        draggingRef.current = true;
+        onScrubStart();
+    };
+    const endDrag = () => {
+        if (!draggingRef.current) return;
+        draggingRef.current = false;
+        sliderRef.current?.blur();
+        onScrubEnd();
+    };
+
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                bottom: 20,
+                left: '50%',
+                transform: 'translateX(-50%)',
+                width: 'min(720px, 60vw)',
+                display: 'flex',
+                alignItems: 'center',
+                gap: 8,
+                padding: '8px 12px',
+                background: 'rgba(0, 0, 0, 0.55)',
+                borderRadius: 6,
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 12,
+            }}
+        >
+            <button style={buttonStyle} onMouseDown={keepFocus} onClick={() => onStep(-1)} title="Step back">⏮</button>
+            <button style={{ ...buttonStyle, width: 34 }} onMouseDown={keepFocus} onClick={onTogglePlay} title={isPlaying ? 'Pause' : 'Play'}>
+                {isPlaying ? '⏸' : '▶'}
+            </button>
+            <button style={buttonStyle} onMouseDown={keepFocus} onClick={() => onStep(1)} title="Step forward">⏭</button>
+
+            <input
+                ref={sliderRef}
+                type="range"
+                min={0}
+                max={TOTAL_FRAMES - 1}
+                step={1}
+                defaultValue={0}
+                onPointerDown={startDrag}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+                onBlur={endDrag}
+                onChange={(e) => onSeek(Number(e.target.value))}
+                style={{ flex: 1, background: TRACK_BACKGROUND, height: 6, borderRadius: 3, appearance: 'none', cursor: 'pointer' }}
+                title="Past | current | future"
+            />
+            <span ref={labelRef} style={{ minWidth: 120, textAlign: 'right' }} />
+
+            <select
+                value={playbackRate}
+                onChange={(e) => {
+                    onPlaybackRateChange(Number(e.target.value));
+                    e.target.blur();
+                }}
+                style={{ ...buttonStyle, padding: '3px 4px' }}
+                title="Playback rate"
+            >
+                {PLAYBACK_RATES.map((rate) => (
+                    <option key={rate} value={rate} style={{ color: 'black' }}>{rate}×</option>
+                ))}
+            </select>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }} onMouseDown={keepFocus} title="Loop this scenario">
+                <input type="checkbox" checked={loop} onChange={(e) => onLoopChange(e.target.checked)} />
+                Loop
+            </label>
+        </div>
+    );
+}
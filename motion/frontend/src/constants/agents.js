@@ -0,0 +1,44 @@
+// `state/type` values (Waymo Open Motion Dataset)
+export const AGENT_TYPES = {
+  UNSET: 0,
+  VEHICLE: 1,
+  PEDESTRIAN: 2,
+  CYCLIST: 3,
+  OTHER: 4,
+};
+
+export const AGENT_TYPE_NAMES = {
+  [AGENT_TYPES.UNSET]: "Unset",
+  [AGENT_TYPES.VEHICLE]: "Vehicle",
+  [AGENT_TYPES.PEDESTRIAN]: "Pedestrian",
+  [AGENT_TYPES.CYCLIST]: "Cyclist",
+  [AGENT_TYPES.OTHER]: "Other",
+};
+
+// Agents sub-layer (constants/layers.js) that toggles each type; anything else counts as "others"
+export const AGENT_TYPE_LAYERS = {
+  [AGENT_TYPES.VEHICLE]: "vehicles",
+  [AGENT_TYPES.PEDESTRIAN]: "pedestrians",
+  [AGENT_TYPES.CYCLIST]: "cyclists",
+  [AGENT_TYPES.OTHER]: "others",
+};
+
+export const agentTypeLayer = (type) => AGENT_TYPE_LAYERS[type] || "others";
+
+export const agentTypeName = (type) => AGENT_TYPE_NAMES[type] || `Type ${type}`;
+
+// Body colors by `state/type`; parked vehicles are tinted apart from moving traffic
+export const AGENT_TYPE_COLORS = {
+  [AGENT_TYPES.VEHICLE]: 0x4285f4,
+  [AGENT_TYPES.PEDESTRIAN]: 0xff9800,
+  [AGENT_TYPES.CYCLIST]: 0x34a853,
+  [AGENT_TYPES.OTHER]: 0xfbbc04,
+};
+export const PARKED_VEHICLE_COLOR = 0xabcbfd;
+export const UNKNOWN_TYPE_COLOR = 0x808080;
+
+export const agentTypeColor = (type) => AGENT_TYPE_COLORS[type] ?? UNKNOWN_TYPE_COLOR;
+
+// Prediction targets (halos and the "interest" color mode)
+export const TRACK_TO_PREDICT_COLOR = 0xff00ff;
+export const OBJECT_OF_INTEREST_COLOR = 0xffa000;
@@ -0,0 +1,74 @@
+// Camera modes CameraRig can run. Offsets are [right, forward, up] meters in the anchor's frame
+// (world axes for isometric).
+// `weight` sets how often the automatic pick lands on a mode.
+export const CAMERA_MODES = [
+  // Standard Follows - High Priority (Good map visibility)
+  { name: "Follow (High)", type: "follow", offset: [0, -5, 10], lookAtOffset: [0, 5, 0], weight: 10 },
+  { name: "Follow (Low)", type: "follow", offset: [0, -8, 2], lookAtOffset: [0, 5, 1], weight: 3 },
+
+  // Technical / Mechanical - Low Priority (Focus on vehicle parts)
+  { name: "Roof Cam (T-Cam)", type: "relative", offset: [0, 0, 1.8], lookAtOffset: [0, 20, 0], weight: 1 },
+  { name: "Under-Chassis", type: "relative", offset: [0, 1.5, 0.3], lookAtOffset: [0, 10, 0.3], weight: 1 },
+  { name: "Wheel Cam", type: "relative", offset: [1.1, 0.8, 0.4], lookAtOffset: [1.1, 5, 0.4], weight: 1 },
+
+  // Interior / POV - Low Priority
+  { name: "Driver POV", type: "relative", offset: [-0.4, 0.2, 1.1], lookAtOffset: [0, 10, 1], weight: 1 },
+  { name: "Passenger Seat", type: "relative", offset: [0.4, 0.2, 1.1], lookAtOffset: [0, 10, 1], weight: 1 },
+
+  // Broadcast / Cinematic - High/Med Priority
+  { name: "TV Helicopter", type: "follow", offset: [15, -15, 15], lookAtOffset: [0, 10, 0], weight: 10 },
+  { name: "Reverse Chase", type: "relative", offset: [0, 10, 2], lookAtOffset: [0, -10, 1], weight: 3 },
+  { name: "Cinematic Pan", type: "fixed_track", weight: 5 },
+  { name: "Spider Cam", type: "orbit", radius: 20, height: 15, speed: 0.3, weight: 10 }, // Great map view
+
+  // Stylized - High Priority
+  { name: "Isometric (Arcade)", type: "isometric", offset: [20, -20, 20], weight: 8 },
+  { name: "Top Down (Static)", type: "static_top", height: 40, weight: 8 },
+];
+
+// Manual "free orbit" mode: OrbitControls drive the camera, which moves along with the anchor
+export const FREE_MODE = "free";
+
+// URL-friendly mode name: "Spider Cam" -> "spider-cam"
+export const modeSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+export const findCameraMode = (nameOrSlug) => CAMERA_MODES.find((m) => modeSlug(m.name) === modeSlug(nameOrSlug)) || null;
+
+// Per-mode numbers that can be tweaked live; vectors are [right, forward, up]
+export const TUNABLE_PARAMS = [
+  { id: "offset", label: "Offset", size: 3 },
+  { id: "lookAtOffset", label: "Look at", size: 3 },
+  { id: "height", label: "Height", size: 1 },
+  { id: "radius", label: "Radius", size: 1 },
+  { id: "speed", label: "Speed", size: 1 },
+];
+
+const isNumberList = (value, size) => Array.isArray(value) && value.length === size && value.every(Number.isFinite);
+
+// Validates a manual camera setting ({ mode, params } or { mode: FREE_MODE, pose }) from storage or a URL.
+// Returns the cleaned setting, or null if it can't be used.
+export const sanitizeCameraSetting = (setting) => {
+  if (!setting || typeof setting.mode !== "string") return null;
+  if (setting.mode === FREE_MODE) {
+    const pose = setting.pose;
+    if (!pose) return { mode: FREE_MODE };
+    if (!isNumberList(pose.offset, 3) || !isNumberList(pose.lookAtOffset, 3)) return null;
+    return { mode: FREE_MODE, pose: { offset: pose.offset, lookAtOffset: pose.lookAtOffset } };
+  }
+  const base = findCameraMode(setting.mode);
+  if (!base) return null;
+  const params = {};
+  for (const { id, size } of TUNABLE_PARAMS) {
+    if (!(id in base)) continue;
+    const value = setting.params?.[id];
+    if (size === 1 ? Number.isFinite(value) : isNumberList(value, size)) params[id] = value;
+  }
+  return { mode: modeSlug(base.name), params };
+};
+
+// Every tunable value of a mode, tweaked `params` over the mode's defaults
+export const modeParams = (mode, params = {}) => {
+  const base = findCameraMode(mode);
+  if (!base) return {};
+  return Object.fromEntries(TUNABLE_PARAMS.filter(({ id }) => id in base).map(({ id }) => [id, params[id] ?? base[id]]));
+};
@@ -0,0 +1,132 @@
+import { seededRandom } from "../utils/random";
+import {
+  AGENT_TYPES,
+  AGENT_TYPE_NAMES,
+  PARKED_VEHICLE_COLOR,
+  TRACK_TO_PREDICT_COLOR,
+  OBJECT_OF_INTEREST_COLOR,
+  agentTypeColor,
+} from "./agents";
+
+// Agents without a meaningful value in the current mode (no step, unflagged, too slow, ...)
+export const NEUTRAL_COLOR = 0x808080;
+
+const SPEED_RAMP = [0x2c7bb6, 0xabd9e9, 0xffffbf, 0xfdae61, 0xd7191c];
+const ACCEL_RAMP = [0xd7191c, 0x808080, 0x1a9641];
+const HEADING_RAMP = [0x1a9641, 0xffffbf, 0xd7191c];
+const DIFFICULTY_COLORS = { 1: 0xfbbc04, 2: 0xd7191c };
+
+const MAX_SPEED = 20; // m/s, top of the speed ramp
+const MAX_ACCEL = 3; // m/s², either way
+const MIN_HEADING_SPEED = 1; // m/s; slower agents have no reliable velocity direction
+
+// Linear blend along evenly spaced ramp stops, t in [0, 1]
+const rampColor = (ramp, t) => {
+  const x = Math.min(Math.max(t, 0), 1) * (ramp.length - 1);
+  const i = Math.min(Math.floor(x), ramp.length - 2);
+  const f = x - i;
+  const channel = (shift) => {
+    const a = (ramp[i] >> shift) & 0xff;
+    const b = (ramp[i + 1] >> shift) & 0xff;
+    return Math.round(a + (b - a) * f) << shift;
+  };
+  return channel(16) | channel(8) | channel(0);
+};
+
+// Saturated color for a hue in degrees
+const hueColor = (hue) => {
+  const s = 0.75;
+  const l = 0.55;
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    return Math.round(255 * (l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return (channel(0) << 16) | (channel(8) << 8) | channel(4);
+};
+
+// Angle between the box heading and the velocity direction, 0..π
+const headingError = (step) => {
+  let d = Math.atan2(step.vy, step.vx) - step.yaw;
+  while (d > Math.PI) d -= 2 * Math.PI;
+  while (d < -Math.PI) d += 2 * Math.PI;
+  return Math.abs(d);
+};
+
+export const colorToCss = (hex) => `#${hex.toString(16).padStart(6, "0")}`;
+
+// Ways to color agent bodies. `color(agent, step)` returns a hex color; `step` is the trajectory
+// step at the current frame (null when invalid). `dynamic` modes change as the scenario plays.
+// `legend` is either { swatches: [{ label, color }] } or { ramp, labels } (labels spread evenly).
+export const COLOR_MODES = [
+  {
+    id: "type",
+    label: "Type",
+    color: (agent) => (agent.type === AGENT_TYPES.VEHICLE && agent.isParked ? PARKED_VEHICLE_COLOR : agentTypeColor(agent.type)),
+    legend: {
+      swatches: [
+        ...[AGENT_TYPES.VEHICLE, AGENT_TYPES.PEDESTRIAN, AGENT_TYPES.CYCLIST, AGENT_TYPES.OTHER].map((type) => ({
+          label: AGENT_TYPE_NAMES[type],
+          color: agentTypeColor(type),
+        })),
+        { label: "Parked", color: PARKED_VEHICLE_COLOR },
+      ],
+    },
+  },
+  {
+    id: "speed",
+    label: "Speed",
+    dynamic: true,
+    color: (agent, step) => (step ? rampColor(SPEED_RAMP, step.speed / MAX_SPEED) : NEUTRAL_COLOR),
+    legend: { ramp: SPEED_RAMP, labels: ["0", `${MAX_SPEED / 2}`, `${MAX_SPEED}+ m/s`] },
+  },
+  {
+    id: "accel",
+    label: "Acceleration",
+    dynamic: true,
+    color: (agent, step) => (step ? rampColor(ACCEL_RAMP, (step.accel + MAX_ACCEL) / (2 * MAX_ACCEL)) : NEUTRAL_COLOR),
+    legend: { ramp: ACCEL_RAMP, labels: [`-${MAX_ACCEL} braking`, "0", `+${MAX_ACCEL} m/s²`] },
+  },
+  {
+    id: "heading",
+    label: "Heading error",
+    dynamic: true,
+    color: (agent, step) =>
+      step && step.speed >= MIN_HEADING_SPEED ? rampColor(HEADING_RAMP, headingError(step) / (Math.PI / 2)) : NEUTRAL_COLOR,
+    legend: { ramp: HEADING_RAMP, labels: ["0°", "45°", "90°+"], note: `grey below ${MIN_HEADING_SPEED} m/s` },
+  },
+  {
+    id: "interest",
+    label: "Prediction targets",
+    color: (agent) =>
+      agent.isTrackToPredict ? TRACK_TO_PREDICT_COLOR : agent.isObjectOfInterest ? OBJECT_OF_INTEREST_COLOR : NEUTRAL_COLOR,
+    legend: {
+      swatches: [
+        { label: "Track to predict", color: TRACK_TO_PREDICT_COLOR },
+        { label: "Object of interest", color: OBJECT_OF_INTEREST_COLOR },
+        { label: "Neither", color: NEUTRAL_COLOR },
+      ],
+    },
+  },
+  {
+    id: "difficulty",
+    label: "Difficulty",
+    color: (agent) => DIFFICULTY_COLORS[agent.difficulty] ?? NEUTRAL_COLOR,
+    legend: {
+      swatches: [
+        { label: "Level 1", color: DIFFICULTY_COLORS[1] },
+        { label: "Level 2", color: DIFFICULTY_COLORS[2] },
+        { label: "Unset", color: NEUTRAL_COLOR },
+      ],
+    },
+  },
+  {
+    id: "id",
+    label: "Id",
+    color: (agent) => hueColor(seededRandom(agent.id)() * 360),
+    legend: { note: "stable hue per state/id" },
+  },
+];
+
+export const DEFAULT_COLOR_MODE = "type";
+
+export const findColorMode = (id) => COLOR_MODES.find((mode) => mode.id === id) || COLOR_MODES[0];
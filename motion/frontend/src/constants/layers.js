@@ -0,0 +1,63 @@
+// Scene layers that can be toggled; `key` is the number-key shortcut.
+// Sub-layers are addressed as "<layer>.<child>" in the visibility map.
+// Everything starts visible unless marked `defaultVisible: false` (filters and busier overlays).
+export const LAYERS = [
+  {
+    id: "roadGraph",
+    label: "Road graph",
+    key: "1",
+    children: [
+      { id: "freewayLanes", label: "Freeway lanes" },
+      { id: "surfaceLanes", label: "Surface street lanes" },
+      { id: "bikeLanes", label: "Bike lanes" },
+      { id: "markings", label: "Lane markings & road edges" },
+      { id: "crosswalks", label: "Crosswalks" },
+      { id: "stopSigns", label: "Stop signs" },
+      { id: "speedBumps", label: "Speed bumps" },
+    ],
+  },
+  { id: "sdcPath", label: "SDC path", key: "2" },
+  { id: "pathSamples", label: "Path samples", key: "3" },
+  {
+    id: "agents",
+    label: "Agents",
+    key: "4",
+    children: [
+      { id: "vehicles", label: "Vehicles" },
+      { id: "parkedVehicles", label: "Parked vehicles" },
+      { id: "pedestrians", label: "Pedestrians" },
+      { id: "cyclists", label: "Cyclists" },
+      { id: "others", label: "Other objects" },
+      { id: "wireframes", label: "Bounding wireframes" },
+      { id: "brakeLights", label: "Brake lights" },
+      { id: "velocityVectors", label: "Velocity vectors" },
+      { id: "trails", label: "Trails (last 1 s)" },
+      { id: "ghosts", label: "Future ghost boxes (every 1 s)", defaultVisible: false },
+      { id: "headingArrows", label: "Heading arrows (bbox yaw)", defaultVisible: false },
+      { id: "predictionHalos", label: "Prediction target halos" },
+      { id: "predictionTargetsOnly", label: "Only prediction targets + SDC", defaultVisible: false },
+    ],
+  },
+  { id: "trafficLights", label: "Traffic lights", key: "5" },
+  { id: "weather", label: "Weather", key: "6" },
+  { id: "bloom", label: "Bloom", key: "7" },
+  {
+    id: "predictions",
+    label: "Predictions",
+    key: "8",
+    children: [{ id: "groundTruth", label: "Ground-truth future" }],
+  },
+];
+
+export const DEFAULT_LAYER_VISIBILITY = Object.fromEntries(
+  LAYERS.flatMap((layer) => [
+    [layer.id, true],
+    ...(layer.children || []).map((child) => [`${layer.id}.${child.id}`, child.defaultVisible !== false]),
+  ])
+);
+
+// { childId: visible } for one layer's sub-layers, for passing to that layer's component
+export const childVisibility = (visibility, layerId) => {
+  const layer = LAYERS.find((l) => l.id === layerId);
+  return Object.fromEntries((layer?.children || []).map((child) => [child.id, visibility[`${layerId}.${child.id}`] !== false]));
+};
@@ -0,0 +1,26 @@
+import { LAYERS } from "./layers";
+
+// Central keyboard command map. `keys` are KeyboardEvent.key values (letters match either case),
+// `command` names a handler passed to useKeyboardShortcuts, `args` are passed to it.
+export const SHORTCUTS = [
+  { keys: [" "], label: "Space", command: "togglePlay", description: "Play / pause" },
+  { keys: ["ArrowLeft"], label: "←", command: "step", args: [-1], description: "Step back one frame" },
+  { keys: ["ArrowRight"], label: "→", command: "step", args: [1], description: "Step forward one frame" },
+  { keys: ["n"], label: "N", command: "nextScenario", description: "Next scenario" },
+  { keys: ["c"], label: "C", command: "cycleCamera", description: "Cycle camera mode" },
+  { keys: ["v"], label: "V", command: "cycleColorMode", description: "Cycle agent color mode" },
+  ...LAYERS.map((layer) => ({
+    keys: [layer.key],
+    label: layer.key,
+    command: "toggleLayer",
+    args: [layer.id],
+    description: `Toggle ${layer.label.toLowerCase()}`,
+  })),
+  { keys: ["p"], label: "P", command: "toggleLayer", args: ["agents.predictionTargetsOnly"], description: "Show only prediction targets and the SDC" },
+  { keys: ["l"], label: "L", command: "toggleLayerPanel", description: "Show / hide the layer panel" },
+  { keys: ["k"], label: "K", command: "toggleCameraPanel", description: "Show / hide the camera panel" },
+  { keys: ["m"], label: "M", command: "toggleMetricsPanel", description: "Show / hide the prediction metrics panel" },
+  { keys: ["f"], label: "F", command: "toggleFollow", description: "Camera follows the picked agent / back to the SDC" },
+  { keys: ["Escape"], label: "Esc", command: "clearSelection", description: "Deselect the picked agent" },
+  { keys: ["?", "h"], label: "? / H", command: "toggleHelp", description: "Show / hide this help" },
+];
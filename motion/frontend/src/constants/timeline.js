@@ -0,0 +1,7 @@
+// Scenario timeline: 10 past + 1 current + 80 future frames, sampled at 10 Hz
+export const PAST_FRAMES = 10;
+export const CURRENT_FRAME = PAST_FRAMES;
+export const TOTAL_FRAMES = 91;
+export const FRAMES_PER_SECOND = 10;
+
+export const PLAYBACK_RATES = [0.1, 0.25, 0.5, 1, 2, 4, 8];
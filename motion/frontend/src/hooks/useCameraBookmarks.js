@@ -0,0 +1,44 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sanitizeCameraSetting } from '../constants/cameraModes';
+
+const STORAGE_KEY = 'waymo-viewer.cameraBookmarks';
+
+// Saved bookmarks, dropping any that no longer match a camera mode
+function loadBookmarks() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .map((bookmark) => {
+        const setting = sanitizeCameraSetting(bookmark);
+        return setting && typeof bookmark.name === 'string' ? { name: bookmark.name, ...setting } : null;
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+// Named camera settings ({ name, mode, params } or { name, mode: FREE_MODE, pose }) persisted to
+// localStorage. Saving under an existing name replaces that bookmark.
+export function useCameraBookmarks() {
+  const [bookmarks, setBookmarks] = useState(loadBookmarks);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bookmarks));
+    } catch {
+      // Storage full or disabled (private mode); bookmarks just won't persist
+    }
+  }, [bookmarks]);
+
+  const saveBookmark = useCallback((name, setting) => {
+    setBookmarks((prev) => [...prev.filter((b) => b.name !== name), { name, ...setting }]);
+  }, []);
+
+  const deleteBookmark = useCallback((name) => {
+    setBookmarks((prev) => prev.filter((b) => b.name !== name));
+  }, []);
+
+  return { bookmarks, saveBookmark, deleteBookmark };
+}
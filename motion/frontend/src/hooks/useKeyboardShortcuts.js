@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+
+// Dispatches window keydown events through a SHORTCUTS-style binding list to `handlers`
+// ({ [command]: (...args) => void }). Keys typed into form fields and modified keys are ignored.
+export function useKeyboardShortcuts(bindings, handlers) {
+  // Latest handlers without re-binding the listener every render
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  }, [handlers]);
+
+  useEffect(() => {
+    const byKey = new Map();
+    for (const binding of bindings) {
+      for (const key of binding.keys) byKey.set(key.toLowerCase(), binding);
+    }
+
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || e.target?.isContentEditable) return;
+
+      const binding = byKey.get(e.key.toLowerCase());
+      const handler = binding && handlersRef.current[binding.command];
+      if (!handler) return;
+
+      e.preventDefault();
+      handler(...(binding.args || []));
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [bindings]);
+}
@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_LAYER_VISIBILITY } from '../constants/layers';
+
+const STORAGE_KEY = 'waymo-viewer.layers';
+
+// Saved visibility merged over the defaults, so layers added later start visible
+function loadVisibility() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    const merged = { ...DEFAULT_LAYER_VISIBILITY };
+    for (const id of Object.keys(merged)) {
+      if (typeof saved[id] === 'boolean') merged[id] = saved[id];
+    }
+    return merged;
+  } catch {
+    return { ...DEFAULT_LAYER_VISIBILITY };
+  }
+}
+
+// Layer visibility map ({ "<layer>" | "<layer>.<child>": boolean }) persisted to localStorage
+export function useLayerVisibility() {
+  const [visibility, setVisibility] = useState(loadVisibility);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(visibility));
+    } catch {
+      // Storage full or disabled (private mode); visibility just won't persist
+    }
+  }, [visibility]);
+
+  const toggleLayer = useCallback((id) => {
+    setVisibility((prev) => ({ ...prev, [id]: !prev[id] }));
+  }, []);
+
+  const resetLayers = useCallback(() => {
+    setVisibility({ ...DEFAULT_LAYER_VISIBILITY });
+  }, []);
+
+  return { visibility, toggleLayer, resetLayers };
+}
@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+
+// Model predictions for the current scenario from the backend's /predictions/<scenarioId>.
+// Returns the raw JSON (see motion/backend/predictions.js), or null when there are none.
+export function usePredictions(baseUrl, scenarioId) {
+  const [loaded, setLoaded] = useState({ scenarioId: null, predictions: null });
+
+  useEffect(() => {
+    if (!scenarioId) return;
+    const controller = new AbortController();
+
+    fetch(`${baseUrl}/predictions/${encodeURIComponent(scenarioId)}`, { signal: controller.signal })
+      .then(async (res) => {
+        if (res.status === 404) return null; // No predictions for this scenario
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        return body;
+      })
+      .then((predictions) => setLoaded({ scenarioId, predictions }))
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Could not load predictions:', err.message);
+      });
+
+    return () => controller.abort();
+  }, [baseUrl, scenarioId]);
+
+  // Never hand out the previous scenario's predictions while the next ones load
+  return loaded.scenarioId === scenarioId ? loaded.predictions : null;
+}
@@ -7,10 +7,16 @@ import {
   parsePathSamples,
   parseSdcState,
   calculateSdcSpeeds,
-  parseScenarioId
+  parseScenarioId,
+  parseMapFeatures
 } from '../utils/parsers';
+import { BINARY_MIME, decodeScenarioPayload } from '../utils/binaryPayload';
 
-export function useRecordBuffer(baseUrl, bufferLimit = 5) {
+// `initQuery` (e.g. window.location.search) is forwarded to /init; search params such as
+// ?minPedestrians=5&roadType=freeway make the backend play only matching scenarios.
+// `features` lists extra tf.Example features (beyond the server's default set) that layers need;
+// they are added to any ?featureSet= / ?features= already in `initQuery`, or to the default set.
+export function useRecordBuffer(baseUrl, bufferLimit = 5, initQuery = '', features = []) {
   const [currentRecord, setCurrentRecord] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [error, setError] = useState(null);
@@ -22,18 +28,54 @@ export function useRecordBuffer(baseUrl, bufferLimit = 5) {
   const isFetchingRef = useRef(false);
   const isStreamDoneRef = useRef(false);
 
-  // Initialize stream
+  // Per-client session on the backend; bumping sessionEpoch re-runs /init (e.g. after expiry)
+  const sessionIdRef = useRef(null);
+  const [sessionEpoch, setSessionEpoch] = useState(0);
+
+  // Stable across renders even when callers pass a fresh array
+  const featureList = features.join(',');
+
+  // Initialize stream. The cleanup (re-init or unmount) closes the session this run opened so its
+  // reader doesn't stay open on the server until the idle sweep.
   useEffect(() => {
+    let cancelled = false;
+    let sessionId = null;
+
+    const closeSession = (id) => {
+      // keepalive lets the request outlive the page on unload
+      fetch(`${baseUrl}/session/${encodeURIComponent(id)}`, { method: 'DELETE', keepalive: true })
+        .catch((err) => console.warn('Failed to close session:', err));
+    };
+
     const initStream = async () => {
       try {
-        const res = await fetch(`${baseUrl}/init`, { method: 'POST' });
-        if (!res.ok) throw new Error('Failed to init stream');
+        const params = new URLSearchParams(initQuery);
+        if (featureList) {
+          // features= alone is an exact list on the server, so keep the default set underneath ours
+          if (!params.has('featureSet') && !params.has('features')) params.set('featureSet', 'default');
+          params.set('features', [params.get('features'), featureList].filter(Boolean).join(','));
+        }
+        const query = params.toString();
+        const res = await fetch(`${baseUrl}/init${query ? `?${query}` : ''}`, { method: 'POST' });
+        if (!res.ok) {
+          // e.g. a bad ?featureSet= / ?features= in the URL
+          const body = await res.json().catch(() => ({}));
+          throw new Error(body.error || 'Failed to init stream');
+        }
+        const json = await res.json();
+        if (cancelled) {
+          closeSession(json.sessionId);
+          return;
+        }
+        sessionId = json.sessionId;
+        sessionIdRef.current = json.sessionId;
         setIsConnected(true);
         setError(null);
         isStreamDoneRef.current = false;
         bufferRef.current = [];
         setBufferSize(0);
       } catch (err) {
+        if (cancelled) return;
         console.error(err);
         setError(err);
         setIsConnected(false);
@@ -41,7 +83,16 @@ export function useRecordBuffer(baseUrl, bufferLimit = 5) {
     };
 
     initStream();
-  }, [baseUrl]);
+
+    return () => {
+      cancelled = true;
+      // An expired session was already dropped (sessionIdRef cleared), so there is nothing to close
+      if (sessionId && sessionIdRef.current === sessionId) {
+        sessionIdRef.current = null;
+        closeSession(sessionId);
+      }
+    };
+  }, [baseUrl, initQuery, featureList, sessionEpoch]);
 
   // Fetch loop to keep buffer full
   useEffect(() => {
@@ -52,8 +103,25 @@ export function useRecordBuffer(baseUrl, bufferLimit = 5) {
 
       isFetchingRef.current = true;
       try {
-        const res = await fetch(`${baseUrl}/next`);
-        const json = await res.json();
+        // Prefer the binary container; older backends just answer with JSON
+        const res = await fetch(`${baseUrl}/next?session=${encodeURIComponent(sessionIdRef.current)}`, {
+          headers: { Accept: `${BINARY_MIME}, application/json;q=0.5` }
+        });
+        if (res.status === 404) {
+          // Session expired on the server (idle timeout / restart). Start a fresh one.
+          console.warn('Session expired, re-initializing stream');
+          sessionIdRef.current = null;
+          setIsConnected(false);
+          setSessionEpoch((e) => e + 1);
+          return;
+        }
+        if (!res.ok) {
+          // e.g. a 500 from a corrupt shard or a 400 for a bad ?features=
+          const body = await res.json().catch(() => ({}));
+          throw new Error(body.error || `Failed to fetch next record (HTTP ${res.status})`);
+        }
+        const isBinary = (res.headers.get('Content-Type') || '').includes(BINARY_MIME);
+        const json = isBinary ? decodeScenarioPayload(await res.arrayBuffer()) : await res.json();
 
         if (json.done) {
           isStreamDoneRef.current = true;
@@ -73,6 +141,7 @@ export function useRecordBuffer(baseUrl, bufferLimit = 5) {
               parsedPathSamples: parsePathSamples(parsedMap, center),
               parsedSdcState: parseSdcState(parsedMap, center),
               sdcSpeeds: calculateSdcSpeeds(parsedMap),
+              parsedMapFeatures: parseMapFeatures(rawData, center), // Scenario-proto sources only
               raw: rawData // Keep raw just in case
           };
 
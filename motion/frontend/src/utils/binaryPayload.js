@@ -0,0 +1,36 @@
+// Decoder for the binary scenario container sent by the backend (motion/backend/binary_payload.js)
+// when /next is requested with `Accept: application/x-waymo-scenario`.
+
+export const BINARY_MIME = 'application/x-waymo-scenario';
+
+const MAGIC = 'WSCN';
+const FORMAT_VERSION = 1;
+
+const ARRAY_TYPES = { f32: Float32Array, f64: Float64Array, i32: Int32Array };
+
+// Returns the same { done, record, fileInfo, scenarioInfo } object the JSON response carries,
+// with numeric features as typed-array views over `buffer` (no copy).
+export const decodeScenarioPayload = (buffer) => {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+    if (magic !== MAGIC) throw new Error('Not a binary scenario payload');
+
+    const version = view.getUint32(4, true);
+    if (version !== FORMAT_VERSION) throw new Error(`Unsupported binary scenario version ${version}`);
+
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength)));
+    const blobStart = (12 + headerLength + 7) & ~7;
+
+    const { features: layout = [], ...payload } = header;
+    if (payload.record) {
+        const features = { ...payload.record.features };
+        for (const { name, type, offset, length } of layout) {
+            const ArrayType = ARRAY_TYPES[type];
+            if (!ArrayType) throw new Error(`Unknown array type ${type} for ${name}`);
+            features[name] = new ArrayType(buffer, blobStart + offset, length);
+        }
+        payload.record = { ...payload.record, features };
+    }
+    return payload;
+};
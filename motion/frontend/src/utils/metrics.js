@@ -0,0 +1,172 @@
+// Waymo Open Motion metrics for model predictions (parsePredictions) against the ground-truth
+// future from parseAgents(). Computed per agent and per scenario at the 3 / 5 / 8 s horizons.
+import { CURRENT_FRAME, FRAMES_PER_SECOND } from "../constants/timeline";
+
+// Miss thresholds at speed >= 11 m/s (meters, in the ground-truth heading frame)
+export const METRIC_HORIZONS = [
+    { seconds: 3, frame: CURRENT_FRAME + 3 * FRAMES_PER_SECOND, lateral: 1.0, longitudinal: 2.0 },
+    { seconds: 5, frame: CURRENT_FRAME + 5 * FRAMES_PER_SECOND, lateral: 1.8, longitudinal: 3.6 },
+    { seconds: 8, frame: CURRENT_FRAME + 8 * FRAMES_PER_SECOND, lateral: 3.0, longitudinal: 6.0 },
+];
+
+// Thresholds shrink to half for slow agents: 0.5 below 1.4 m/s, 1.0 above 11 m/s, linear between
+const speedScale = (speed) => {
+    if (speed < 1.4) return 0.5;
+    if (speed > 11) return 1;
+    return 0.5 + (0.5 * (speed - 1.4)) / (11 - 1.4);
+};
+
+// Predicted position at `frame`, linearly interpolated between the mode's points (null outside them)
+const positionAt = (points, frame) => {
+    if (points.length === 0 || frame < points[0].frame || frame > points[points.length - 1].frame) return null;
+    for (let i = 0; i < points.length; i++) {
+        const b = points[i];
+        if (b.frame === frame) return b;
+        if (b.frame > frame) {
+            const a = points[i - 1];
+            const t = (frame - a.frame) / (b.frame - a.frame);
+            return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        }
+    }
+    return null;
+};
+
+// Corners of an oriented box (length along yaw, width across)
+const boxCorners = (x, y, yaw, length, width) => {
+    const c = Math.cos(yaw);
+    const s = Math.sin(yaw);
+    const hl = length / 2;
+    const hw = width / 2;
+    return [
+        [x + c * hl - s * hw, y + s * hl + c * hw],
+        [x + c * hl + s * hw, y + s * hl - c * hw],
+        [x - c * hl + s * hw, y - s * hl - c * hw],
+        [x - c * hl - s * hw, y - s * hl + c * hw],
+    ];
+};
+
+// Separating-axis test for two oriented boxes given as corner lists
+const boxesOverlap = (a, b) => {
+    for (const box of [a, b]) {
+        for (let i = 0; i < 2; i++) {
+            const ax = box[i + 1][0] - box[i][0];
+            const ay = box[i + 1][1] - box[i][1];
+            let minA = Infinity, maxA = -Infinity, minB = Infinity, maxB = -Infinity;
+            for (const [x, y] of a) {
+                const p = x * ax + y * ay;
+                minA = Math.min(minA, p);
+                maxA = Math.max(maxA, p);
+            }
+            for (const [x, y] of b) {
+                const p = x * ax + y * ay;
+                minB = Math.min(minB, p);
+                maxB = Math.max(maxB, p);
+            }
+            if (maxA < minB || maxB < minA) return false;
+        }
+    }
+    return true;
+};
+
+// First frame after the current one where the agent's most likely mode overlaps another agent's
+// ground-truth box, or Infinity. Heading comes from the predicted motion.
+const firstOverlapFrame = (agent, points, agents, lastFrame) => {
+    const [length, width] = agent.dims;
+    for (let f = CURRENT_FRAME + 1; f <= lastFrame; f++) {
+        const p = positionAt(points, f);
+        if (!p) continue;
+        const ahead = positionAt(points, f + 1) || p;
+        const behind = positionAt(points, f - 1) || agent.trajectory[f - 1] || p;
+        const moved = Math.hypot(ahead.x - behind.x, ahead.y - behind.y);
+        const yaw = moved > 0.05 ? Math.atan2(ahead.y - behind.y, ahead.x - behind.x) : (agent.trajectory[f]?.yaw ?? 0);
+        const own = boxCorners(p.x, p.y, yaw, length, width);
+        const reach = Math.hypot(length, width) / 2;
+
+        for (const other of agents) {
+            if (other === agent) continue;
+            const step = other.trajectory[f];
+            if (!step) continue;
+            const otherReach = Math.hypot(other.dims[0], other.dims[1]) / 2;
+            if (Math.hypot(step.x - p.x, step.y - p.y) > reach + otherReach) continue;
+            if (boxesOverlap(own, boxCorners(step.x, step.y, step.yaw, other.dims[0], other.dims[1]))) return f;
+        }
+    }
+    return Infinity;
+};
+
+// Metrics of one predicted agent at one horizon; null fields when the ground truth doesn't cover it
+const horizonMetrics = (agent, modes, horizon, overlapFrame) => {
+    let minADE = null;
+    let minFDE = null;
+    let hit = false;
+
+    const end = agent.trajectory[horizon.frame];
+    const start = agent.trajectory[CURRENT_FRAME];
+    const scale = speedScale(start ? start.speed : 0);
+
+    for (const { points } of modes) {
+        let sum = 0;
+        let count = 0;
+        for (let f = CURRENT_FRAME + 1; f <= horizon.frame; f++) {
+            const truth = agent.trajectory[f];
+            const p = truth && positionAt(points, f);
+            if (!p) continue;
+            sum += Math.hypot(p.x - truth.x, p.y - truth.y);
+            count++;
+        }
+        if (count > 0 && (minADE === null || sum / count < minADE)) minADE = sum / count;
+
+        const p = end && positionAt(points, horizon.frame);
+        if (!p) continue;
+        const dx = p.x - end.x;
+        const dy = p.y - end.y;
+        const fde = Math.hypot(dx, dy);
+        if (minFDE === null || fde < minFDE) minFDE = fde;
+
+        const longitudinal = dx * Math.cos(end.yaw) + dy * Math.sin(end.yaw);
+        const lateral = -dx * Math.sin(end.yaw) + dy * Math.cos(end.yaw);
+        if (Math.abs(longitudinal) < horizon.longitudinal * scale && Math.abs(lateral) < horizon.lateral * scale) hit = true;
+    }
+
+    return {
+        minADE,
+        minFDE,
+        miss: minFDE === null ? null : !hit,
+        overlap: overlapFrame <= horizon.frame,
+    };
+};
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Scores the predicted agents flagged in state/tracks_to_predict (all predicted agents when the
+// scenario flags none). Returns { horizons, agents: [{ id, agent, byHorizon }], scenario }, where
+// byHorizon / scenario are keyed by horizon seconds.
+export const computePredictionMetrics = (predictions, agents) => {
+    if (!predictions) return null;
+
+    const anyFlagged = agents.some((agent) => agent.isTrackToPredict);
+    const scored = predictions.agents.filter(({ agent }) => agent && (!anyFlagged || agent.isTrackToPredict));
+    const lastFrame = METRIC_HORIZONS[METRIC_HORIZONS.length - 1].frame;
+
+    const perAgent = scored.map(({ id, agent, modes }) => {
+        const overlapFrame = modes.length ? firstOverlapFrame(agent, modes[0].points, agents, lastFrame) : Infinity;
+        const byHorizon = {};
+        for (const horizon of METRIC_HORIZONS) byHorizon[horizon.seconds] = horizonMetrics(agent, modes, horizon, overlapFrame);
+        return { id, agent, byHorizon };
+    });
+
+    const scenario = {};
+    for (const { seconds } of METRIC_HORIZONS) {
+        const rows = perAgent.map((row) => row.byHorizon[seconds]);
+        const covered = rows.filter((m) => m.miss !== null);
+        scenario[seconds] = {
+            count: covered.length,
+            minADE: mean(rows.map((m) => m.minADE).filter((v) => v !== null)),
+            minFDE: mean(covered.map((m) => m.minFDE)),
+            missRate: covered.length ? covered.filter((m) => m.miss).length / covered.length : null,
+            overlapRate: rows.length ? rows.filter((m) => m.overlap).length / rows.length : null,
+        };
+    }
+
+    return { horizons: METRIC_HORIZONS, agents: perAgent, scenario, unscored: predictions.agents.length - scored.length };
+};
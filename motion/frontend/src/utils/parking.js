@@ -0,0 +1,128 @@
+// Parked-vehicle classifier. A vehicle that never moves is judged by where it stands: in a lane and
+// facing along it means it is waiting (queued at a light, stuck in traffic); at the curb, off the
+// lanes or askew to them means it is parked.
+
+// roadgraph_samples/type values
+const LANE_TYPES = new Set([1, 2]); // freeway, surface street
+const ROAD_EDGE_TYPES = new Set([15, 16]); // boundary, median
+
+const CELL_SIZE = 5; // m, grid bucket size for radius queries
+
+const MOVING_SPEED = 1.0; // m/s, top speed above which a vehicle is driving
+const MOVING_DISTANCE = 2.0; // m, first-to-last displacement above which a vehicle is driving
+const LANE_SEARCH_RADIUS = 5.0; // m; no lane this close means the vehicle is off the road network
+const IN_LANE_OFFSET = 1.5; // m from a lane centerline that still counts as in the lane
+const CURB_DISTANCE = 2.5; // m from a road edge that counts as at the curb
+const MAX_ALIGNMENT_DEG = 30; // heading vs lane direction that still counts as following the lane
+
+// Road graph points bucketed on a CELL_SIZE grid
+const buildGrid = (points) => {
+    const cells = new Map();
+    for (const point of points) {
+        const key = `${Math.floor(point.x / CELL_SIZE)},${Math.floor(point.y / CELL_SIZE)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(point);
+    }
+    return cells;
+};
+
+// Closest point within `radius` of (x, y) that passes `accept`, with its distance
+const nearest = (cells, x, y, radius, accept = () => true) => {
+    let best = null;
+    let bestDist = radius;
+    const reach = Math.ceil(radius / CELL_SIZE);
+    const cx = Math.floor(x / CELL_SIZE);
+    const cy = Math.floor(y / CELL_SIZE);
+    for (let i = cx - reach; i <= cx + reach; i++) {
+        for (let j = cy - reach; j <= cy + reach; j++) {
+            const cell = cells.get(`${i},${j}`);
+            if (!cell) continue;
+            for (const point of cell) {
+                const d = Math.hypot(point.x - x, point.y - y);
+                if (d <= bestDist && accept(point)) {
+                    best = point;
+                    bestDist = d;
+                }
+            }
+        }
+    }
+    return best && { point: best, distance: bestDist };
+};
+
+const angleBetween = (a, b) => {
+    let d = a - b;
+    while (d > Math.PI) d -= 2 * Math.PI;
+    while (d < -Math.PI) d += 2 * Math.PI;
+    return Math.abs(d);
+};
+
+// Lane centerline samples (with their travel direction) and road edge samples from the road graph,
+// centered like the agents
+export const buildParkingContext = (parsedMap, center) => {
+    const getVal = (key) => parsedMap.get(key) || [];
+    const xyz = getVal("roadgraph_samples/xyz");
+    const dir = getVal("roadgraph_samples/dir");
+    const types = getVal("roadgraph_samples/type");
+    const valid = getVal("roadgraph_samples/valid");
+    const [cx, cy] = center;
+
+    const lanes = [];
+    const edges = [];
+    for (let i = 0; i < types.length; i++) {
+        if (valid.length > 0 && !valid[i]) continue;
+        const x = xyz[i * 3] - cx;
+        const y = xyz[i * 3 + 1] - cy;
+        if (LANE_TYPES.has(types[i])) {
+            const dx = dir[i * 3] || 0;
+            const dy = dir[i * 3 + 1] || 0;
+            lanes.push({ x, y, heading: dx === 0 && dy === 0 ? null : Math.atan2(dy, dx) });
+        } else if (ROAD_EDGE_TYPES.has(types[i])) {
+            edges.push({ x, y });
+        }
+    }
+
+    return { hasLanes: lanes.length > 0, lanes: buildGrid(lanes), edges: buildGrid(edges) };
+};
+
+// { isParked, reason } for one agent from its parsed trajectory (null steps are invalid).
+// Only vehicles other than the SDC can be parked.
+export const classifyParking = (agentType, isSdc, trajectory, context) => {
+    if (isSdc) return { isParked: false, reason: "SDC" };
+    if (agentType !== 1) return { isParked: false, reason: "not a vehicle" };
+
+    const steps = trajectory.filter(Boolean);
+    if (steps.length === 0) return { isParked: false, reason: "no valid steps" };
+
+    // Speed profile over the whole scenario: any real motion rules parking out
+    const maxSpeed = Math.max(...steps.map((step) => step.speed));
+    const first = steps[0];
+    const last = steps[steps.length - 1];
+    const moved = Math.hypot(last.x - first.x, last.y - first.y);
+    if (maxSpeed >= MOVING_SPEED || moved >= MOVING_DISTANCE) {
+        return { isParked: false, reason: `moving (up to ${maxSpeed.toFixed(1)} m/s, ${moved.toFixed(1)} m travelled)` };
+    }
+    if (!context.hasLanes) return { isParked: false, reason: "stationary, no lanes in the road graph" };
+
+    const x = steps.reduce((sum, step) => sum + step.x, 0) / steps.length;
+    const y = steps.reduce((sum, step) => sum + step.y, 0) / steps.length;
+    const yaw = first.yaw;
+    const maxAngle = (MAX_ALIGNMENT_DEG * Math.PI) / 180;
+
+    const lane = nearest(context.lanes, x, y, LANE_SEARCH_RADIUS);
+    if (!lane) return { isParked: true, reason: `stationary, more than ${LANE_SEARCH_RADIUS} m from any lane` };
+
+    const alignedLane = nearest(context.lanes, x, y, IN_LANE_OFFSET, (point) => point.heading === null || angleBetween(yaw, point.heading) <= maxAngle);
+    if (alignedLane) {
+        return { isParked: false, reason: `stationary in lane, ${alignedLane.distance.toFixed(1)} m from center and facing traffic (queued or waiting)` };
+    }
+
+    const edge = nearest(context.edges, x, y, CURB_DISTANCE);
+    if (edge) {
+        return { isParked: true, reason: `stationary at the curb, ${edge.distance.toFixed(1)} m from the road edge and ${lane.distance.toFixed(1)} m off lane center` };
+    }
+    if (lane.distance <= IN_LANE_OFFSET && lane.point.heading !== null) {
+        const angle = (angleBetween(yaw, lane.point.heading) * 180) / Math.PI;
+        return { isParked: true, reason: `stationary in lane but facing ${angle.toFixed(0)}° off its direction` };
+    }
+    return { isParked: true, reason: `stationary, ${lane.distance.toFixed(1)} m off lane center` };
+};
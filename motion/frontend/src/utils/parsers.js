@@ -1,60 +1,71 @@
 // Generic Parsing Utilities for Waymo Data
+import { buildParkingContext, classifyParking } from "./parking";
 
+// Records arrive as { features: { name: values } }: one array per tf.Example feature
+// (see motion/backend/tf_example.js). Returns a Map of feature name -> values.
 export const parseMap = (data) => {
     if (!data) return null;
-    const featureMap = data?.context?.featureMap;
-    // Robust map creation
-    let map;
-    if (Array.isArray(featureMap)) {
-      if (featureMap.length > 0 && Array.isArray(featureMap[0])) {
-        map = new Map(featureMap);
-      } else if (featureMap.length > 0 && typeof featureMap[0] === "object") {
-        map = new Map(featureMap.map((e) => [e.key, e.value]));
-      } else {
-        map = new Map();
-      }
-    } else {
-      map = new Map(Object.entries(featureMap || {}));
-    }
-    return map;
+    return new Map(Object.entries(data.features || {}));
   };
 
+// Validity mask lookup for state/*/valid (1 = observed). Missing masks count as valid.
+const validAt = (list, idx) => (list.length === 0 || list[idx] ? 1 : 0);
+
 export const calculateCenter = (parsedMap) => {
     if (!parsedMap) return [0, 0, 0];
 
+    const getVal = (key) => parsedMap.get(key) || [];
+
     // Try to find SDC
-    const sdcList = parsedMap.get("state/is_sdc")?.int64List?.valueList;
-    const xList = parsedMap.get("state/current/x")?.floatList?.valueList;
-    const yList = parsedMap.get("state/current/y")?.floatList?.valueList;
-    const zList = parsedMap.get("state/current/z")?.floatList?.valueList;
+    const sdcList = getVal("state/is_sdc");
+    const xList = getVal("state/current/x");
+    const yList = getVal("state/current/y");
+    const zList = getVal("state/current/z");
+    const currValid = getVal("state/current/valid");
 
-    if (!xList || !yList) return [0, 0, 0];
+    if (xList.length === 0 || yList.length === 0) return [0, 0, 0];
 
     // Find index of SDC (val === 1)
-    let sdcIndex = -1;
-    if (sdcList) {
-      sdcIndex = sdcList.indexOf(Number(1));
-      if (sdcIndex === -1) sdcIndex = sdcList.findIndex((v) => v == 1);
+    let sdcIndex = sdcList.findIndex((v) => v == 1);
+
+    // Fallback to first agent observed at the current step
+    if (sdcIndex === -1) sdcIndex = xList.findIndex((_, i) => validAt(currValid, i));
+    if (sdcIndex === -1) return [0, 0, 0];
+
+    if (validAt(currValid, sdcIndex)) {
+      return [xList[sdcIndex] || 0, yList[sdcIndex] || 0, zList[sdcIndex] || 0];
     }
 
-    // Fallback to first agent
-    if (sdcIndex === -1) sdcIndex = 0;
+    // SDC not observed at the current step: use its latest valid past step, else its first valid future one
+    const count = xList.length;
+    for (const [segment, order] of [["past", -1], ["future", 1]]) {
+      const x = getVal(`state/${segment}/x`);
+      const y = getVal(`state/${segment}/y`);
+      const z = getVal(`state/${segment}/z`);
+      const valid = getVal(`state/${segment}/valid`);
+      const len = x.length / count;
+      for (let k = 0; k < len; k++) {
+        const idx = sdcIndex * len + (order === -1 ? len - 1 - k : k);
+        if (validAt(valid, idx)) return [x[idx] || 0, y[idx] || 0, z[idx] || 0];
+      }
+    }
 
-    return [xList[sdcIndex] || 0, yList[sdcIndex] || 0, zList[sdcIndex] || 0];
+    return [0, 0, 0];
 };
 
 export const parseScenarioId = (parsedMap) => {
     if (!parsedMap) return null;
-    const idVal = parsedMap.get("scenario/id")?.bytesList?.valueList?.[0];
+    const idVal = parsedMap.get("scenario/id")?.[0];
     if (!idVal) return "Unknown";
     return String(idVal);
 };
 
+// SDC speed per step; null where the SDC is not observed
 export const calculateSdcSpeeds = (parsedMap) => {
     if (!parsedMap) return [];
 
     // 1. Find SDC Index
-    const sdcList = parsedMap.get("state/is_sdc")?.int64List?.valueList;
+    const sdcList = parsedMap.get("state/is_sdc");
     if (!sdcList) return [];
 
     let sdcIndex = sdcList.indexOf(Number(1));
@@ -63,21 +74,23 @@ export const calculateSdcSpeeds = (parsedMap) => {
 
     // 2. Get Speed Data
     const getVal = (key) => {
-      const feat = parsedMap.get(key);
-      return feat?.floatList?.valueList || [];
+      return parsedMap.get(key) || [];
     };
 
     // Past
     const pastVx = getVal("state/past/velocity_x");
     const pastVy = getVal("state/past/velocity_y");
+    const pastValid = getVal("state/past/valid");
 
     // Current
     const currVx = getVal("state/current/velocity_x");
     const currVy = getVal("state/current/velocity_y");
+    const currValid = getVal("state/current/valid");
 
     // Future
     const futureVx = getVal("state/future/velocity_x");
     const futureVy = getVal("state/future/velocity_y");
+    const futureValid = getVal("state/future/valid");
 
     const count = sdcList.length;
 
@@ -86,26 +99,27 @@ export const calculateSdcSpeeds = (parsedMap) => {
     const futureLen = futureVx.length / count;
 
     const speeds = [];
+    const pushSpeed = (valid, rawVx, rawVy) => {
+      if (!valid) {
+        speeds.push(null);
+        return;
+      }
+      const vx = rawVx || 0;
+      const vy = rawVy || 0;
+      speeds.push(Math.sqrt(vx * vx + vy * vy));
+    };
 
     // Past
     for (let t = 0; t < pastLen; t++) {
       const idx = sdcIndex * pastLen + t;
-      const vx = pastVx[idx] || 0;
-      const vy = pastVy[idx] || 0;
-      speeds.push(Math.sqrt(vx * vx + vy * vy));
+      pushSpeed(validAt(pastValid, idx), pastVx[idx], pastVy[idx]);
     }
     // Current
-    {
-      const vx = currVx[sdcIndex] || 0;
-      const vy = currVy[sdcIndex] || 0;
-      speeds.push(Math.sqrt(vx * vx + vy * vy));
-    }
+    pushSpeed(validAt(currValid, sdcIndex), currVx[sdcIndex], currVy[sdcIndex]);
     // Future
     for (let t = 0; t < futureLen; t++) {
       const idx = sdcIndex * futureLen + t;
-      const vx = futureVx[idx] || 0;
-      const vy = futureVy[idx] || 0;
-      speeds.push(Math.sqrt(vx * vx + vy * vy));
+      pushSpeed(validAt(futureValid, idx), futureVx[idx], futureVy[idx]);
     }
 
     return speeds;
@@ -115,9 +129,7 @@ export const parseAgents = (parsedMap, center) => {
     if (!parsedMap) return [];
 
     const getVal = (key) => {
-      const feat = parsedMap.get(key);
-      if (!feat) return [];
-      return feat.floatList?.valueList || feat.int64List?.valueList || [];
+      return parsedMap.get(key) || [];
     };
 
     const ids = getVal("state/id");
@@ -130,6 +142,7 @@ export const parseAgents = (parsedMap, center) => {
     const pastYaw = getVal("state/past/bbox_yaw");
     const pastVx = getVal("state/past/velocity_x");
     const pastVy = getVal("state/past/velocity_y");
+    const pastValid = getVal("state/past/valid");
     const pastLen = pastX.length / count;
 
     const currX = getVal("state/current/x");
@@ -138,6 +151,7 @@ export const parseAgents = (parsedMap, center) => {
     const currYaw = getVal("state/current/bbox_yaw");
     const currVx = getVal("state/current/velocity_x");
     const currVy = getVal("state/current/velocity_y");
+    const currValid = getVal("state/current/valid");
 
     const futureX = getVal("state/future/x");
     const futureY = getVal("state/future/y");
@@ -145,6 +159,7 @@ export const parseAgents = (parsedMap, center) => {
     const futureYaw = getVal("state/future/bbox_yaw");
     const futureVx = getVal("state/future/velocity_x");
     const futureVy = getVal("state/future/velocity_y");
+    const futureValid = getVal("state/future/valid");
     const futureLen = futureX.length / count;
 
     const width = getVal("state/current/width");
@@ -152,30 +167,31 @@ export const parseAgents = (parsedMap, center) => {
     const height = getVal("state/current/height");
     const type = getVal("state/type");
     const isSdcList = getVal("state/is_sdc");
+    const tracksToPredict = getVal("state/tracks_to_predict");
+    const objectsOfInterest = getVal("state/objects_of_interest");
+    const difficulty = getVal("state/difficulty_level");
 
     const [cx, cy, cz] = center;
 
-    // RoadGraph for Parked Detection
-    const mapX = getVal("roadgraph_samples/xyz");
-    const mapType = getVal("roadgraph_samples/type");
-    const lanePoints = [];
-    if (mapX && mapType) {
-      for (let i = 0; i < mapType.length; i++) {
-        if (mapType[i] === 1 || mapType[i] === 2) {
-          lanePoints.push({
-            x: mapX[i * 3] - cx,
-            y: mapX[i * 3 + 1] - cy,
-            z: mapX[i * 3 + 2] - cz,
-          });
-        }
-      }
-    }
+    // Road graph context for the parked-vehicle classifier
+    const parkingContext = buildParkingContext(parsedMap, center);
 
     const agents = [];
     for (let i = 0; i < count; i++) {
       const trajectory = [];
 
+      // Validity mask per step
+      const valid = new Uint8Array(pastLen + 1 + futureLen);
+      for (let t = 0; t < pastLen; t++) valid[t] = validAt(pastValid, i * pastLen + t);
+      valid[pastLen] = validAt(currValid, i);
+      for (let t = 0; t < futureLen; t++) valid[pastLen + 1 + t] = validAt(futureValid, i * futureLen + t);
+
+      // Invalid steps are null: their coordinates are placeholders (often -1, -1), not positions
       const pushStep = (rawX, rawY, rawZ, rawYaw, rawVx, rawVy) => {
+        if (!valid[trajectory.length]) {
+          trajectory.push(null);
+          return;
+        }
         const vx = rawVx || 0;
         const vy = rawVy || 0;
         trajectory.push({
@@ -215,48 +231,29 @@ export const parseAgents = (parsedMap, center) => {
         );
       }
 
-      // Accel calc
-      for (let t = 0; t < trajectory.length - 1; t++) {
+      // Accel calc, only between consecutive valid steps (the last step of a span keeps accel 0)
+      for (let t = 0; t < trajectory.length; t++) {
         const step = trajectory[t];
+        if (!step) continue;
         const next = trajectory[t + 1];
-        const speedCurr = Math.sqrt(step.vx * step.vx + step.vy * step.vy);
-        const speedNext = Math.sqrt(next.vx * next.vx + next.vy * next.vy);
-        const accel = (speedNext - speedCurr) / 0.1;
-        step.accel = accel;
-      }
-
-      let maxSpeed = 0;
-      for (const step of trajectory) {
-        const s = Math.sqrt(step.vx * step.vx + step.vy * step.vy);
-        if (s > maxSpeed) maxSpeed = s;
-      }
-
-      let isParked = false;
-      if (type[i] === 1 && maxSpeed < 0.5) {
-        const startPos = trajectory[0];
-        let minDist = Infinity;
-        if (lanePoints.length > 0) {
-          for (let k = 0; k < lanePoints.length; k += 5) {
-            const lp = lanePoints[k];
-            const dx = lp.x - startPos.x;
-            const dy = lp.y - startPos.y;
-            const d = dx * dx + dy * dy;
-            if (d < minDist) minDist = d;
-            if (d < 4.0) break;
-          }
-          if (minDist > 4.0) isParked = true;
-        }
+        step.accel = next ? (next.speed - step.speed) / 0.1 : 0;
       }
 
       const isSdc = isSdcList && isSdcList[i] == 1;
+      const parking = classifyParking(type[i], isSdc, trajectory, parkingContext);
 
       agents.push({
         id: ids[i],
         type: type[i],
         isSdc: isSdc,
-        isParked: isParked,
+        isParked: parking.isParked,
+        parkedReason: parking.reason,
+        isTrackToPredict: tracksToPredict[i] == 1,
+        isObjectOfInterest: objectsOfInterest[i] == 1,
+        difficulty: difficulty[i] || 0,
         dims: [length[i], width[i], height[i] || 1.5],
         trajectory,
+        valid,
       });
     }
     return agents;
@@ -266,9 +263,7 @@ export const parseTrafficLights = (parsedMap, center) => {
     if (!parsedMap) return [];
 
     const getVal = (key) => {
-      const feat = parsedMap.get(key);
-      if (!feat) return [];
-      return feat.floatList?.valueList || feat.int64List?.valueList || [];
+      return parsedMap.get(key) || [];
     };
 
     const ids = getVal("traffic_light_state/current/id");
@@ -417,9 +412,7 @@ export const parsePathSamples = (parsedMap, center) => {
     if (!parsedMap) return null;
 
     const getVal = (key) => {
-      const feat = parsedMap.get(key);
-      if (!feat) return [];
-      return feat.floatList?.valueList || feat.int64List?.valueList || [];
+      return parsedMap.get(key) || [];
     };
 
     const rawXyz = getVal("path_samples/xyz");
@@ -458,12 +451,12 @@ export const parsePathSamples = (parsedMap, center) => {
     return new Float32Array(vertices);
 };
 
+// SDC trajectory for the path highlight; invalid steps are null, as in parseAgents
 export const parseSdcState = (parsedMap, center) => {
     if (!parsedMap) return null;
 
     const getVal = (key) => {
-      const feat = parsedMap.get(key);
-      return feat?.floatList?.valueList || feat?.int64List?.valueList || [];
+      return parsedMap.get(key) || [];
     };
 
     const sdcList = getVal("state/is_sdc");
@@ -484,12 +477,14 @@ export const parseSdcState = (parsedMap, center) => {
     const pastZ = getVal("state/past/z");
     const pastVx = getVal("state/past/velocity_x");
     const pastVy = getVal("state/past/velocity_y");
+    const pastValid = getVal("state/past/valid");
 
     const currX = getVal("state/current/x");
     const currY = getVal("state/current/y");
     const currZ = getVal("state/current/z");
     const currVx = getVal("state/current/velocity_x");
     const currVy = getVal("state/current/velocity_y");
+    const currValid = getVal("state/current/valid");
     const heightList = getVal("state/current/height");
 
     const futureX = getVal("state/future/x");
@@ -497,6 +492,7 @@ export const parseSdcState = (parsedMap, center) => {
     const futureZ = getVal("state/future/z");
     const futureVx = getVal("state/future/velocity_x");
     const futureVy = getVal("state/future/velocity_y");
+    const futureValid = getVal("state/future/valid");
 
     const sdcHeight = heightList[sdcIndex] || 1.6;
 
@@ -506,46 +502,109 @@ export const parseSdcState = (parsedMap, center) => {
     const [cx, cy, cz] = center;
     const trajectory = [];
 
-    // Past
-    for (let t = 0; t < pastLen; t++) {
-      const idx = sdcIndex * pastLen + t;
-      const vx = pastVx[idx] || 0;
-      const vy = pastVy[idx] || 0;
+    const pushStep = (valid, rawX, rawY, rawZ, rawVx, rawVy) => {
+      if (!valid) {
+        trajectory.push(null);
+        return;
+      }
+      const vx = rawVx || 0;
+      const vy = rawVy || 0;
       trajectory.push({
-        x: pastX[idx] - cx,
-        y: pastY[idx] - cy,
-        z: pastZ[idx] - cz,
-        zBox: pastZ[idx] - cz - sdcHeight / 2,
+        x: rawX - cx,
+        y: rawY - cy,
+        z: rawZ - cz,
+        zBox: rawZ - cz - sdcHeight / 2,
         speed: Math.sqrt(vx * vx + vy * vy),
       });
+    };
+
+    // Past
+    for (let t = 0; t < pastLen; t++) {
+      const idx = sdcIndex * pastLen + t;
+      pushStep(validAt(pastValid, idx), pastX[idx], pastY[idx], pastZ[idx], pastVx[idx], pastVy[idx]);
     }
 
     // Current
     if (currX[sdcIndex] !== undefined) {
-      const vx = currVx[sdcIndex] || 0;
-      const vy = currVy[sdcIndex] || 0;
-      trajectory.push({
-        x: currX[sdcIndex] - cx,
-        y: currY[sdcIndex] - cy,
-        z: currZ[sdcIndex] - cz,
-        zBox: currZ[sdcIndex] - cz - sdcHeight / 2,
-        speed: Math.sqrt(vx * vx + vy * vy),
-      });
+      pushStep(
+        validAt(currValid, sdcIndex),
+        currX[sdcIndex],
+        currY[sdcIndex],
+        currZ[sdcIndex],
+        currVx[sdcIndex],
+        currVy[sdcIndex]
+      );
     }
 
     // Future
     for (let t = 0; t < futureLen; t++) {
       const idx = sdcIndex * futureLen + t;
-      const vx = futureVx[idx] || 0;
-      const vy = futureVy[idx] || 0;
-      trajectory.push({
-        x: futureX[idx] - cx,
-        y: futureY[idx] - cy,
-        z: futureZ[idx] - cz,
-        zBox: futureZ[idx] - cz - sdcHeight / 2,
-        speed: Math.sqrt(vx * vx + vy * vy),
-      });
+      pushStep(validAt(futureValid, idx), futureX[idx], futureY[idx], futureZ[idx], futureVx[idx], futureVy[idx]);
     }
 
     return { trajectory, height: sdcHeight };
 };
+
+// Map topology that only Scenario-proto sources carry (lane connectivity, neighbors, boundaries,
+// polygons; see motion/backend/scenario_proto.js). Returns null for tf.Example records.
+// Polylines/polygons become arrays of centered { x, y, z } points; lanes are also indexed by id.
+export const parseMapFeatures = (data, center) => {
+    const topology = data?.mapFeatures;
+    if (!topology) return null;
+
+    const [cx, cy, cz] = center;
+    const toPoints = (flat = []) => {
+      const points = [];
+      for (let i = 0; i + 2 < flat.length; i += 3) {
+        points.push({ x: flat[i] - cx, y: flat[i + 1] - cy, z: flat[i + 2] - cz });
+      }
+      return points;
+    };
+
+    const withPolyline = (list = []) => list.map(({ polyline, ...f }) => ({ ...f, points: toPoints(polyline) }));
+    const withPolygon = (list = []) => list.map(({ polygon, ...f }) => ({ ...f, points: toPoints(polygon) }));
+    const lanes = withPolyline(topology.lanes);
+
+    return {
+      lanes,
+      lanesById: new Map(lanes.map((lane) => [lane.id, lane])),
+      roadLines: withPolyline(topology.roadLines),
+      roadEdges: withPolyline(topology.roadEdges),
+      stopSigns: (topology.stopSigns || []).map(({ position, ...s }) => ({ ...s, position: toPoints(position)[0] || null })),
+      crosswalks: withPolygon(topology.crosswalks),
+      speedBumps: withPolygon(topology.speedBumps),
+      driveways: withPolygon(topology.driveways),
+    };
+};
+
+// Model predictions from the backend's /predictions/<scenarioId> (see motion/backend/predictions.js),
+// matched to parsed agents by state/id. Points are centered like the agents and carry their frame
+// index; z is taken from the agent's ground truth. Returns null without predictions.
+export const parsePredictions = (predictions, agents, center) => {
+    if (!predictions) return null;
+
+    const [cx, cy, cz] = center;
+    const agentsById = new Map(agents.map((agent) => [agent.id, agent]));
+
+    return {
+      model: predictions.model,
+      agents: predictions.agents.map(({ id, trajectories }) => {
+        const agent = agentsById.get(id) || null;
+        const ref = agent ? agent.trajectory.find(Boolean) : null;
+        const z = ref ? ref.z : -cz;
+        return {
+          id,
+          agent,
+          modes: trajectories.map(({ confidence, xy }) => ({
+            confidence,
+            points: xy.map(([x, y], i) => ({
+              frame: predictions.startFrame + i * predictions.stepFrames,
+              x: x - cx,
+              y: y - cy,
+              z,
+            })),
+          })),
+        };
+      }),
+    };
+};
@@ -0,0 +1,24 @@
+// Seeded pseudo-random numbers, so cosmetic choices are reproducible
+
+// Mulberry32: tiny 32-bit PRNG. Returns a function yielding floats in [0, 1).
+export function mulberry32(a) {
+    return function() {
+      var t = a += 0x6D2B79F5;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// FNV-1a hash of a string into a 32-bit seed
+export const hashString = (str) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+// PRNG seeded from a string such as a scenario id
+export const seededRandom = (seed) => mulberry32(hashString(String(seed)));
@@ -0,0 +1,50 @@
+import { ENVS } from '../constants/environments';
+import { seededRandom } from './random';
+
+export const WEATHER_TYPES = ["clear", "rain", "snow", "fog", "dust", "storm"];
+
+// Cosmetic scene choices (environment map, weather, camera variant), seeded by scenario id so a
+// scenario always looks the same. URL params override them:
+//   ?env=<ENVS key>         environment map
+//   ?weather=<type>         one of WEATHER_TYPES
+//   ?camera=<mode|number>   camera mode name (e.g. tv-helicopter) or variant number
+//   ?style=clean            "clean analysis": no weather, no post-processing
+export const pickSceneStyle = (scenarioId, search = "") => {
+    const params = new URLSearchParams(search);
+    const clean = params.get("style") === "clean";
+
+    const rand = seededRandom(scenarioId || "");
+    const keys = Object.keys(ENVS);
+
+    // Same draw order as always: env, weather roll (80% clear), weather type, camera variant
+    let envName = keys[Math.floor(rand() * keys.length)];
+    let weather = "clear";
+    const roll = rand();
+    const special = WEATHER_TYPES.slice(1);
+    const specialPick = special[Math.floor(rand() * special.length)];
+    if (roll > 0.8) weather = specialPick;
+    let variant = Math.floor(rand() * 100);
+    let cameraMode = null;
+
+    const env = params.get("env");
+    if (env) {
+      if (ENVS[env]) envName = env;
+      else console.warn(`Unknown env "${env}", expected one of: ${keys.join(", ")}`);
+    }
+
+    const weatherParam = params.get("weather");
+    if (weatherParam) {
+      if (WEATHER_TYPES.includes(weatherParam)) weather = weatherParam;
+      else console.warn(`Unknown weather "${weatherParam}", expected one of: ${WEATHER_TYPES.join(", ")}`);
+    }
+
+    const camera = params.get("camera");
+    if (camera) {
+      if (/^\d+$/.test(camera)) variant = Number(camera);
+      else cameraMode = camera;
+    }
+
+    if (clean) weather = "clear";
+
+    return { envName, weather, variant, cameraMode, postProcessing: !clean, seed: scenarioId || "" };
+};